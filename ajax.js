@@ -1,26 +1,239 @@
 /**
  *
+ * Options:
+ *     url         - String - URL of the REST endpoint. ie: '/api/grid/data'
+ *     method      - String - HTTP method used for requests. (default: 'POST')
+ *     headers     - Object - Extra headers sent with every request.
+ *     timeout     - Number - How long, in milliseconds, to wait for a response before
+ *                            aborting the request. Set to 0 to wait forever. (default: 30000)
+ *     credentials - String - fetch credentials mode: 'omit', 'same-origin', or 'include'.
+ *                            (default: 'same-origin')
+ *
+ * Data sent with GET and HEAD requests is encoded in the query string, every other
+ * method sends the data as a JSON body. JSON responses are parsed, all other
+ * responses are returned as text.
+ *
+ * Failed requests reject with an Error that has the following properties added:
+ *     status  - HTTP status code, 0 if the request never got a response.
+ *     code    - Short name for the error, ie: 'not_found', 'server_error', 'cancelled', 'timeout'.
+ *     data    - The parsed body of the error response, if there was one.
+ */
+
+import { Connection, make_id } from './connection.js';
+
+/**
+ * Default values for the ajax options.
+ */
+let ajax_defaults = {
+    credentials: 'same-origin',
+    headers:     {},
+    method:      'POST',
+    timeout:     30000,
+    url:         '',
+};
+
+/**
+ * Map HTTP status codes to the error codes used by the connection.
+ */
+let http_errors = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    408: 'timeout',
+    409: 'conflict',
+    422: 'invalid',
+    429: 'too_many_requests',
+    504: 'timeout',
+};
+
+/**
+ * Create an Error for a failed request.
+ * @param  {String} message  - Description of the error.
+ * @param  {Number} status   - HTTP status code.
+ * @param  {String} code     - Short name for the error.
+ * @param  {*}      data     - Parsed body of the error response.
+ * @return {Error}
+ */
+function _request_error( message, status, code, data ) {
+    let error = new Error( `Ajax: ${message}` );
+    error.status = status;
+    error.code = code;
+    error.data = data;
+
+    return error;
+}
+
+/**
+ * Encode the data as a query string, nested values are sent as JSON.
+ * @param  {Object} data  - key/value pairs to encode.
+ * @return {String}       - query string without the leading '?'.
  */
+function _query_string( data ) {
+    let params = new URLSearchParams();
 
-import { Connection } from './connection.js';
+    for( let key in data ) {
+        let value = data[ key ];
+        if( value !== null && typeof( value ) == 'object' ) {
+            value = JSON.stringify( value );
+        }
+        params.append( key, value );
+    }
+
+    return params.toString();
+}
 
 export class Ajax extends Connection {
     constructor( options = {} ) {
-        this.super( options );
+        super( options );
+
+        if( typeof( options.url ) == 'undefined' || options.url == '' ) {
+            throw new Error( "Ajax: missing required url" );
+        }
 
         this.type = 'ajax';
+        this.options = Object.assign( {}, ajax_defaults, options );
+
+        // AbortControllers for the requests that haven't finished yet, keyed by call_id.
+        this.requests = new Map();
     }
 
-    send() {
-        return new Promise();
+    /**
+     * Send a request to the server.
+     * @param  {Object} data  - data to send to the server.
+     * @return {Promise}      - resolves with the parsed response body,
+     *                          rejects with an Error describing the failure.
+     *                          The promise has the call_id of the request.
+     */
+    send( data = {} ) {
+        let method = this.options.method.toUpperCase();
+        let url = this.options.url;
+        let headers = Object.assign( {
+            'Accept': 'application/json',
+        }, this.options.headers );
+
+        let body = undefined;
+        if( method == 'GET' || method == 'HEAD' ) {
+            let query = _query_string( data );
+            if( query !== '' ) {
+                url += ( url.indexOf( '?' ) == -1 ? '?' : '&' ) + query;
+            }
+        }
+        else {
+            headers[ 'Content-Type' ] = 'application/json';
+            body = JSON.stringify( data );
+        }
+
+        let call_id = make_id();
+        let controller = new AbortController();
+        let timed_out = false;
+        let timer = undefined;
+
+        if( this.options.timeout > 0 ) {
+            timer = setTimeout( () => {
+                timed_out = true;
+                controller.abort();
+            }, this.options.timeout );
+        }
+
+        this.requests.set( call_id, controller );
+
+        let request = fetch( url, {
+            method,
+            headers,
+            body,
+            credentials: this.options.credentials,
+            signal:      controller.signal,
+        } ).then( ( response ) => {
+            return this._parse( response ).then( ( response_data ) => {
+                if( ! response.ok ) {
+                    let code = http_errors[ response.status ] || ( response.status >= 500 ? 'server_error' : 'http_error' );
+                    let message = response.statusText || code;
+                    if( response_data && typeof( response_data.message ) == 'string' ) {
+                        message = response_data.message;
+                    }
+
+                    throw _request_error( `${response.status} ${message}`, response.status, code, response_data );
+                }
+
+                return response_data;
+            } );
+        } ).catch( ( error ) => {
+            if( error.name == 'AbortError' ) {
+                if( timed_out ) {
+                    throw _request_error( 'request timed out', 0, 'timeout' );
+                }
+                throw _request_error( 'request was cancelled', 0, 'cancelled' );
+            }
+            if( typeof( error.code ) == 'undefined' ) {
+                throw _request_error( error.message, 0, 'network_error' );
+            }
+
+            throw error;
+        } );
+
+        let finished = () => {
+            clearTimeout( timer );
+            this.requests.delete( call_id );
+        };
+        request.then( finished, finished );
+
+        request.call_id = call_id;
+        return request;
+    }
+
+    /**
+     * Cancel a request that hasn't finished yet.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        let controller = this.requests.get( call_id );
+        if( typeof( controller ) == 'undefined' ) {
+            return false;
+        }
+
+        controller.abort();
+        this.requests.delete( call_id );
+
+        return true;
+    }
+
+    /**
+     * Parse the body of the response based on its content type.
+     * @param  {Response} response  - Response from fetch.
+     * @return {Promise}            - resolves with the parsed body.
+     */
+    _parse( response ) {
+        if( response.status == 204 ) {
+            return Promise.resolve( undefined );
+        }
+
+        let content_type = response.headers.get( 'Content-Type' ) || '';
+        if( content_type.indexOf( 'json' ) != -1 ) {
+            return response.json();
+        }
+
+        return response.text();
+    }
+
+    /**
+     * Cancel all the requests that haven't finished yet.
+     */
+    abort() {
+        for( let controller of this.requests.values() ) {
+            controller.abort();
+        }
+        this.requests.clear();
     }
 
     /**
      * Ajax connections don't have a permanent connection
-     * so close always return true.
+     * so close always return true. Any requests still running are cancelled.
      */
 
     close() {
+        this.abort();
         return true;
     }
 
@@ -0,0 +1,90 @@
+/**
+ * A channel is one topic on a shared Socket. Several grids can each use their own channel
+ * while all of them talk to the server over a single WebSocket.
+ *
+ * Channels are created by the socket, not directly:
+ *
+ *     let socket = Socket.shared( { url: 'wss://example.com/api/grid/data' } );
+ *     let orders = socket.channel( 'orders' );
+ *     let customers = socket.channel( 'customers' );
+ *
+ * Requests sent through a channel carry its name in the envelope, and frames the server
+ * pushes for a channel are only dispatched to that channel's listeners.
+ *
+ * Events: (use channel.bind( event, callback ) to listen for them)
+ *     state.changed - The state of the shared socket changed, see Socket.
+ *     insert        - The server added rows to this channel.
+ *     update        - The server changed rows in this channel.
+ *     delete        - The server removed rows from this channel.
+ *     error         - An error for this channel, or a problem with the shared socket.
+ */
+
+import { Connection } from './connection.js';
+
+export class Channel extends Connection {
+    /**
+     * @param  {Socket} socket  - The socket this channel is a part of.
+     * @param  {String} name    - Name of the channel on the server.
+     */
+    constructor( socket, name ) {
+        super( {} );
+
+        this.type = 'channel';
+        this.socket = socket;
+        this.name = name;
+
+        // Socket events passed on to the channel's listeners, kept so they can be unbound on close.
+        this.socket_listeners = {
+            'state.changed': ( details ) => {
+                this._trigger( 'state.changed', details );
+            },
+            'error': ( details ) => {
+                // errors for other channels are none of our business.
+                if( typeof( details.channel ) == 'undefined' || details.channel == this.name ) {
+                    this._trigger( 'error', details );
+                }
+            },
+        };
+
+        for( let event in this.socket_listeners ) {
+            this.socket.bind( event, this.socket_listeners[ event ] );
+        }
+    }
+
+    /**
+     * State of the shared socket: 'connecting', 'open', 'reconnecting', or 'closed'.
+     */
+    get state() {
+        return this.socket.state;
+    }
+
+    /**
+     * Send a request to the server on this channel.
+     * @param  {Object} data   - a data packet to send to the server, see Socket.send().
+     * @return {Promise}       - resolves with the payload of the server's reply.
+     */
+    send( data ) {
+        return this.socket.send( data, this.name );
+    }
+
+    /**
+     * Cancel a request sent on this channel.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        return this.socket.cancel( call_id );
+    }
+
+    /**
+     * Leave the channel. The socket is closed once its last channel is closed.
+     * @return {Promise}   - Resolves once the channel, and the socket if it was the last one, is closed.
+     */
+    close() {
+        for( let event in this.socket_listeners ) {
+            this.socket.unbind( event, this.socket_listeners[ event ] );
+        }
+
+        return this.socket._leave( this );
+    }
+}
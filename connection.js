@@ -4,9 +4,42 @@
  * grid to make it work.
  */
 
+/**
+ * Generate a simple random string to identify the request/response.
+ * Function borrowed from: https://stackoverflow.com/a/1349426/7082336
+ */
+export function make_id() {
+    let text = "";
+    let possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+    for( let i = 0; i < 8; i++ ) {
+        text += possible.charAt( Math.floor( Math.random() * possible.length ) );
+    }
+    return text;
+}
+
+/**
+ * How long to wait before the next reconnect attempt.
+ * The delay doubles on each attempt, is capped at max_delay, and has jitter
+ * added so a server restart doesn't have every client reconnect at once.
+ * @param  {Number} attempt    - Number of the attempt, starting at 1.
+ * @param  {Number} delay      - Delay before the first attempt, in milliseconds.
+ * @param  {Number} max_delay  - Upper limit for the delay, in milliseconds.
+ * @return {Number}            - delay in milliseconds.
+ */
+export function reconnect_delay( attempt, delay, max_delay ) {
+    delay = Math.min( delay * Math.pow( 2, attempt - 1 ), max_delay );
+
+    // use "equal jitter", half of the delay is fixed the other half is random.
+    return Math.floor( ( delay / 2 ) + ( Math.random() * delay / 2 ) );
+}
+
 export class Connection {
     constructor( options ) {
         this._type = '';
+
+        // User callbacks for connection events, keyed by event name.
+        this._listeners = {};
     }
 
     close() {
@@ -17,15 +50,68 @@ export class Connection {
      * @param  {Object} options  - an object containing all the options that are needed
      * @return {Promise}         - all requests for data should return a promise so we
      *                             can change events after the requests return.
+     *                             The promise has a call_id property that identifies
+     *                             the request so it can be cancelled.
      */
     send( options ) {
 
     }
 
+    /**
+     * Cancel a request that hasn't finished yet. The promise for the request
+     * is rejected with an Error whose code is 'cancelled'.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        return false;
+    }
+
     receive() {
 
     }
 
+    /**
+     * Bind a callback to a connection event.
+     * @param  {String}   event     - Name of the event to listen for.
+     * @param  {Function} callback  - Code to run when the event is triggered.
+     */
+    bind( event, callback ) {
+        if( typeof( this._listeners[ event ] ) == 'undefined' ) {
+            this._listeners[ event ] = [];
+        }
+
+        this._listeners[ event ].push( callback );
+    }
+
+    /**
+     * Remove a callback previously bound to a connection event.
+     * @param  {String}   event     - Name of the event the callback was bound to.
+     * @param  {Function} callback  - The callback to remove.
+     */
+    unbind( event, callback ) {
+        if( typeof( this._listeners[ event ] ) == 'undefined' ) {
+            return;
+        }
+
+        this._listeners[ event ] = this._listeners[ event ].filter( ( listener ) => {
+            return listener !== callback;
+        } );
+    }
+
+    /**
+     * Call all the callbacks bound to the given event.
+     * @param  {String} event  - Name of the event to trigger.
+     * @param  {*}      data   - Data passed to each callback.
+     */
+    _trigger( event, data ) {
+        let listeners = this._listeners[ event ] || [];
+
+        for( let listener of listeners.slice() ) {
+            listener.call( this, data );
+        }
+    }
+
     get type() {
         return this._type;
     }
@@ -0,0 +1,161 @@
+/**
+ * A Web Worker that sorts and filters the grid's data off the main thread, used by grids with the
+ * worker option set. It's only sent the values of the columns being sorted and filtered, and replies
+ * with the new order of the records instead of the records themselves.
+ *
+ * Messages:
+ *     { id, columns: [ name, ... ], types: { name: type }, rows: [ [ value, ... ] ], sort, filters }
+ *         rows     - The values of the named columns for each record, in the grid's order.
+ *         sort     - [ { column, order } ] the columns to sort by, order is 'asc' or 'desc'.
+ *         filters  - [ { field, test } ] a record passes if any of the fields equals its test.
+ *                    Left out when the data isn't filtered.
+ *
+ * Replies:
+ *     { id, order: [ index, ... ], selected: [ Boolean, ... ] }
+ *         order is the index of each record in its sorted order, selected is indexed the same
+ *         as rows and says which records passed the filters.
+ *     { id, error } when the data couldn't be sorted.
+ */
+
+import { Number_Utility } from './number_utility.js';
+
+/**
+ * Convert a date, or a date and time, to a number that sorts the same as the date.
+ * This matches what the grid gets from moment on the main thread: YYYYMMDD, or
+ * YYYYMMDDHHmmss with the time.
+ * @param  {String}  value      - Date in the form YYYY-MM-DD or M/D/YYYY, followed by
+ *                                HH:mm:ss or h:mm:ss AM/PM for a datetime.
+ * @param  {Boolean} with_time  - Is the value a datetime?
+ * @return {Number}             - The date as a number, 0 for an empty value.
+ */
+function _date_value( value, with_time ) {
+    if( value == '' || value == undefined ) {
+        return 0;
+    }
+
+    value = String( value );
+    let parts = ( value.match( /\d+/g ) || [] ).map( Number );
+
+    let year = parts[ 0 ];
+    let month = parts[ 1 ];
+    let day = parts[ 2 ];
+    if( value.indexOf( '/' ) != -1 ) {
+        [ month, day, year ] = parts;
+    }
+
+    let date = ( year * 10000 ) + ( month * 100 ) + day;
+    if( ! with_time ) {
+        return date;
+    }
+
+    let hours = parts[ 3 ] || 0;
+    let minutes = parts[ 4 ] || 0;
+    let seconds = parts[ 5 ] || 0;
+
+    if( value.indexOf( 'PM' ) != -1 && hours < 12 ) {
+        hours += 12;
+    }
+    else if( value.indexOf( 'AM' ) != -1 && hours == 12 ) {
+        hours = 0;
+    }
+
+    return ( date * 1000000 ) + ( hours * 10000 ) + ( minutes * 100 ) + seconds;
+}
+
+/**
+ * Convert a value to something that can be compared for sorting, the same as Grid._get_value().
+ * @param  {Mixed}  value  - Value from the record.
+ * @param  {String} type   - Type of the column, see the column_model.
+ * @return {Mixed}         - Sortable value.
+ */
+function _sort_value( value, type ) {
+    switch( type ) {
+        case 'text':
+        case 'string':
+            return String( value ).toLowerCase();
+        case 'number':
+            return Number( Number_Utility.from_currency( value ) );
+        case 'date':
+            return _date_value( value, false );
+        case 'datetime':
+            return _date_value( value, true );
+        default:
+            return String( value );
+    }
+}
+
+/**
+ * Sort and filter the rows in a message.
+ * @param  {Object} message  - { id, columns, types, rows, sort, filters }
+ * @return {Object}          - { id, order, selected }
+ */
+function _process( message ) {
+    let rows = message.rows;
+    let position = {};
+    message.columns.forEach( ( column, i ) => {
+        position[ column ] = i;
+    } );
+
+    // Convert each value once, instead of every time it's compared.
+    let keys = message.sort.map( ( sort ) => {
+        let type = message.types[ sort.column ];
+        let index = position[ sort.column ];
+
+        return rows.map( ( row ) => {
+            return _sort_value( row[ index ], type );
+        } );
+    } );
+
+    let order = rows.map( ( row, i ) => {
+        return i;
+    } );
+
+    if( keys.length > 0 ) {
+        order.sort( ( a, b ) => {
+            for( let s = 0; s < keys.length; s++ ) {
+                let a_value = keys[ s ][ a ];
+                let b_value = keys[ s ][ b ];
+
+                if( a_value > b_value ) {
+                    return ( message.sort[ s ].order == 'desc' ? -1 : 1 );
+                }
+                else if( a_value < b_value ) {
+                    return ( message.sort[ s ].order == 'desc' ? 1 : -1 );
+                }
+            }
+
+            return 0;
+        } );
+    }
+
+    let selected = rows.map( ( row ) => {
+        if( ! Array.isArray( message.filters ) ) {
+            return true;
+        }
+
+        return message.filters.some( ( filter ) => {
+            return row[ position[ filter.field ] ] == filter.test;
+        } );
+    } );
+
+    return {
+        id:       message.id,
+        order:    order,
+        selected: selected,
+    };
+}
+
+self.addEventListener( 'message', ( event ) => {
+    let reply;
+    try{
+        reply = _process( event.data );
+    }
+    catch( error ) {
+        reply = {
+            id:    event.data.id,
+            error: error.message,
+        };
+    }
+
+    self.postMessage( reply );
+} );
@@ -0,0 +1,423 @@
+/**
+ * A connection that keeps its data in memory and answers the same requests a server would.
+ * Use it to develop and test grids without a server, or for offline demos.
+ *
+ * Options:
+ *     data         - Array    - The rows of data served by the connection. The array is copied.
+ *     unique_key   - String   - Name of the field that uniquely identifies each row. (default: 'id')
+ *     latency      - Number   - How long, in milliseconds, to wait before answering a request. (default: 0)
+ *     failure_rate - Number   - Chance, from 0 to 1, that a request fails. (default: 0)
+ *     validate     - Function - validate( key, changes, row ) is called for every record that is saved,
+ *                               return a string or an object of { column: message } to reject the record.
+ *     columnar     - Boolean  - Reply to loads in the columnar format: { columns, rows: [ [ ... ] ], total }
+ *                               (default: false)
+ *
+ * Requests:
+ *     { type: 'load', payload: { offset, limit, sort: [ { column, direction } ], filters } }
+ *         replies with { rows: [ ... ], total }, every part of the payload is optional.
+ *     { type: 'save', payload: { changes: [ { key, changes: { column: { new_value, old_value } } } ] } }
+ *         replies with { accepted: [ key, ... ], rejected: [ { key, message, errors } ] }
+ *     { type: 'transaction', payload: { changes: [ { key, changes } ], inserts: [ { ... } ], deletes: [ key, ... ] } }
+ *         applies all of it or none of it, replies with { accepted: true }, or with
+ *         { accepted: false, message, rejected: [ { key, message, errors } ] } when a record
+ *         is missing or fails validation.
+ *
+ * Changes made with push() are dispatched as insert/update/delete events, the same as a Socket.
+ */
+
+import { Connection, make_id } from './connection.js';
+
+/**
+ * Default values for the local connection options.
+ */
+let local_defaults = {
+    columnar:     false,
+    data:         [],
+    failure_rate: 0,
+    latency:      0,
+    unique_key:   'id',
+    validate:     undefined,
+};
+
+/**
+ * Convert a value so it can be compared with the filter and sort operators.
+ * @param  {Mixed}  value  - Value to convert.
+ * @param  {String} type   - 'number' to compare as numbers, anything else compares as strings.
+ * @return {Mixed}         - Comparable value.
+ */
+function _comparable( value, type ) {
+    if( type == 'number' ) {
+        return Number( value );
+    }
+    if( value === undefined || value === null ) {
+        return '';
+    }
+
+    return String( value ).toLowerCase();
+}
+
+/**
+ * Test a row against a single filter.
+ * @param  {Object} row     - The row to test.
+ * @param  {Object} filter  - { field, type, operator, test }
+ * @return {Boolean}        - Does the row pass the filter?
+ */
+function _passes_filter( row, filter ) {
+    let value = _comparable( row[ filter.field ], filter.type );
+    let test = _comparable( filter.test, filter.type );
+
+    switch( filter.operator || '==' ) {
+        case '==':
+            return value == test;
+        case '!=':
+            return value != test;
+        case '<':
+            return value < test;
+        case '>':
+            return value > test;
+        case '<=':
+            return value <= test;
+        case '>=':
+            return value >= test;
+        default:
+            throw new Error( `LocalConnection: unknown filter operator ${filter.operator}` );
+    }
+}
+
+export class LocalConnection extends Connection {
+    constructor( options = {} ) {
+        super( options );
+
+        this.type = 'local';
+        this.options = Object.assign( {}, local_defaults, options );
+
+        this.data = this.options.data.map( ( row ) => {
+            return Object.assign( {}, row );
+        } );
+
+        // Rejection functions for the requests that haven't been answered yet, keyed by call_id.
+        this.requests = new Map();
+    }
+
+    /**
+     * Answer a request the same way a server would, after the configured latency.
+     * @param  {Object} request  - { type, payload }
+     * @return {Promise}         - Resolves with the reply payload, rejects on a failure.
+     *                             The promise has the call_id of the request.
+     */
+    send( request = {} ) {
+        let call_id = make_id();
+
+        let cancelled = new Promise( ( resolve, reject ) => {
+            this.requests.set( call_id, reject );
+        } );
+
+        let reply = Promise.race( [ cancelled, this._delay() ] ).then( () => {
+            if( Math.random() < this.options.failure_rate ) {
+                let error = new Error( "LocalConnection: simulated failure" );
+                error.code = 'server_error';
+                throw error;
+            }
+
+            let payload = request.payload || {};
+
+            switch( request.type ) {
+                case 'load':
+                    return this._load( payload );
+                case 'save':
+                    return this._save( payload );
+                case 'transaction':
+                    return this._transaction( payload );
+                default:
+                    throw new Error( `LocalConnection: unknown request type ${request.type}` );
+            }
+        } );
+
+        let finished = () => {
+            this.requests.delete( call_id );
+        };
+        reply.then( finished, finished );
+
+        reply.call_id = call_id;
+        return reply;
+    }
+
+    /**
+     * Cancel a request that hasn't been answered yet.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        let reject = this.requests.get( call_id );
+        if( typeof( reject ) == 'undefined' ) {
+            return false;
+        }
+
+        let error = new Error( "LocalConnection: request was cancelled" );
+        error.code = 'cancelled';
+        reject( error );
+        this.requests.delete( call_id );
+
+        return true;
+    }
+
+    /**
+     * Change the data as if another user changed it on the server, and dispatch the change.
+     * @param  {String}   type  - 'insert', 'update', or 'delete'.
+     * @param  {Object[]} rows  - Rows to insert, update, or delete. Updates and deletes are matched
+     *                            using the unique_key field.
+     * @return {Promise}        - Resolves once the change has been dispatched.
+     */
+    push( type, rows ) {
+        let key = this.options.unique_key;
+
+        for( let row of rows ) {
+            let index = this.data.findIndex( ( record ) => {
+                return record[ key ] == row[ key ];
+            } );
+
+            if( type == 'insert' ) {
+                this.data.push( Object.assign( {}, row ) );
+            }
+            else if( type == 'update' && index != -1 ) {
+                Object.assign( this.data[ index ], row );
+            }
+            else if( type == 'delete' && index != -1 ) {
+                this.data.splice( index, 1 );
+            }
+        }
+
+        return this._delay().then( () => {
+            this._trigger( type, {
+                rows: rows.map( ( row ) => {
+                    return Object.assign( {}, row );
+                } ),
+            } );
+        } );
+    }
+
+    /**
+     * Filter, sort and page the data.
+     * @param  {Object} payload  - { offset, limit, sort, filters }
+     * @return {Object}          - { rows, total }
+     */
+    _load( payload ) {
+        let rows = this.data;
+
+        if( Array.isArray( payload.filters ) && payload.filters.length > 0 ) {
+            rows = rows.filter( ( row ) => {
+                let selected = _passes_filter( row, payload.filters[ 0 ] );
+
+                for( let i = 1; i < payload.filters.length; i++ ) {
+                    let filter = payload.filters[ i ];
+                    if( filter.join == 'and' ) {
+                        selected = selected && _passes_filter( row, filter );
+                    }
+                    else {
+                        selected = selected || _passes_filter( row, filter );
+                    }
+                }
+
+                return selected;
+            } );
+        }
+
+        if( Array.isArray( payload.sort ) && payload.sort.length > 0 ) {
+            rows = rows.slice().sort( ( a, b ) => {
+                for( let sort of payload.sort ) {
+                    let a_value = a[ sort.column ];
+                    let b_value = b[ sort.column ];
+
+                    // compare as numbers when both values are numbers.
+                    let type = ( isNaN( Number( a_value ) ) || isNaN( Number( b_value ) ) ? 'string' : 'number' );
+                    a_value = _comparable( a_value, type );
+                    b_value = _comparable( b_value, type );
+
+                    if( a_value == b_value ) {
+                        continue;
+                    }
+
+                    let order = ( a_value > b_value ? 1 : -1 );
+                    return ( String( sort.direction ).toLowerCase() == 'desc' ? -order : order );
+                }
+
+                return 0;
+            } );
+        }
+
+        let total = rows.length;
+        let offset = Number( payload.offset ) || 0;
+        let limit = Number( payload.limit ) || 0;
+
+        rows = rows.slice( offset, ( limit > 0 ? offset + limit : undefined ) );
+
+        if( this.options.columnar ) {
+            let columns = Array.from( new Set( [].concat( ...rows.map( ( row ) => {
+                return Object.keys( row );
+            } ) ) ) );
+
+            return {
+                columns,
+                rows: rows.map( ( row ) => {
+                    return columns.map( ( column ) => {
+                        return row[ column ];
+                    } );
+                } ),
+                total,
+            };
+        }
+
+        return {
+            rows: rows.map( ( row ) => {
+                return Object.assign( {}, row );
+            } ),
+            total,
+        };
+    }
+
+    /**
+     * Apply the changes to the data, rejecting records that fail validation.
+     * @param  {Object} payload  - { changes: [ { key, changes } ] }
+     * @return {Object}          - { accepted, rejected }
+     */
+    _save( payload ) {
+        let result = {
+            accepted: [],
+            rejected: [],
+        };
+
+        for( let record of payload.changes || [] ) {
+            let row = this._find( record.key );
+            let rejection = this._validate( record, row );
+
+            if( typeof( rejection ) !== 'undefined' ) {
+                result.rejected.push( rejection );
+                continue;
+            }
+
+            for( let column of Object.keys( record.changes ) ) {
+                row[ column ] = record.changes[ column ].new_value;
+            }
+            result.accepted.push( record.key );
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply the changes, inserts and deletes of a transaction, all of them or none of them.
+     * @param  {Object} payload  - { changes: [ { key, changes } ], inserts, deletes }
+     * @return {Object}          - { accepted: true } or { accepted: false, message, rejected }
+     */
+    _transaction( payload ) {
+        let changes = payload.changes || [];
+        let deletes = payload.deletes || [];
+        let rejected = [];
+
+        for( let record of changes ) {
+            let rejection = this._validate( record, this._find( record.key ) );
+            if( typeof( rejection ) !== 'undefined' ) {
+                rejected.push( rejection );
+            }
+        }
+
+        for( let key of deletes ) {
+            if( typeof( this._find( key ) ) == 'undefined' ) {
+                rejected.push( {
+                    key:     key,
+                    message: 'Record not found',
+                } );
+            }
+        }
+
+        if( rejected.length > 0 ) {
+            return {
+                accepted: false,
+                message:  'Transaction rejected',
+                rejected,
+            };
+        }
+
+        for( let record of changes ) {
+            let row = this._find( record.key );
+            for( let column of Object.keys( record.changes ) ) {
+                row[ column ] = record.changes[ column ].new_value;
+            }
+        }
+
+        for( let row of payload.inserts || [] ) {
+            this.data.push( Object.assign( {}, row ) );
+        }
+
+        for( let key of deletes ) {
+            this.data.splice( this.data.indexOf( this._find( key ) ), 1 );
+        }
+
+        return {
+            accepted: true,
+        };
+    }
+
+    /**
+     * Find a row using the unique_key field.
+     * @param  {Mixed} key   - unique_key value of the row.
+     * @return {Object}      - The row, or undefined if there isn't one.
+     */
+    _find( key ) {
+        return this.data.find( ( row ) => {
+            return row[ this.options.unique_key ] == key;
+        } );
+    }
+
+    /**
+     * Check a changed record before it's saved.
+     * @param  {Object} record  - { key, changes }
+     * @param  {Object} row     - The row being changed, undefined if it wasn't found.
+     * @return {Object}         - { key, message, errors } if the record is rejected, otherwise undefined.
+     */
+    _validate( record, row ) {
+        if( typeof( row ) == 'undefined' ) {
+            return {
+                key:     record.key,
+                message: 'Record not found',
+            };
+        }
+
+        if( typeof( this.options.validate ) == 'function' ) {
+            let errors = this.options.validate( record.key, record.changes, row );
+
+            if( typeof( errors ) == 'string' && errors != '' ) {
+                return {
+                    key:     record.key,
+                    message: errors,
+                };
+            }
+            else if( errors && typeof( errors ) == 'object' && Object.keys( errors ).length > 0 ) {
+                return {
+                    key:     record.key,
+                    message: 'Invalid data',
+                    errors,
+                };
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Wait for the configured latency.
+     * @return {Promise}   - Resolves after the delay.
+     */
+    _delay() {
+        return new Promise( ( resolve ) => {
+            setTimeout( resolve, this.options.latency );
+        } );
+    }
+
+    /**
+     * There is no real connection so close always return true.
+     */
+    close() {
+        return true;
+    }
+}
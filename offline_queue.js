@@ -0,0 +1,164 @@
+/**
+ * A durable, ordered queue of cell edits kept in IndexedDB, so edits made while the
+ * connection is down survive a page reload and can be sent once it comes back.
+ *
+ * Every grid using the queue gets its own named queue inside the same database.
+ *
+ * Options:
+ *     database - String - Name of the IndexedDB database. (default: 'wsgrid')
+ *
+ * Edits are stored as:
+ *     { id, queue, key, column, new_value, old_value, time }
+ * where id is assigned by the queue and increases, so edits come back in the order they were added.
+ */
+
+/**
+ * Default values for the queue options.
+ */
+let queue_defaults = {
+    database: 'wsgrid',
+};
+
+/**
+ * Name of the object store holding the edits.
+ */
+const edit_store = 'edits';
+
+export class Offline_Queue {
+    /**
+     * @param  {String} name     - Name of the queue, usually the id of the grid.
+     * @param  {Object} options  - See options above.
+     */
+    constructor( name, options = {} ) {
+        if( typeof( name ) == 'undefined' || name == '' ) {
+            throw new Error( "Offline_Queue: missing required name" );
+        }
+
+        this.name = name;
+        this.options = Object.assign( {}, queue_defaults, options );
+
+        // Promise for the open database, created the first time it's needed.
+        this.database = undefined;
+    }
+
+    /**
+     * Open the database, creating the object store the first time.
+     * @return {Promise}   - Resolves with the IDBDatabase.
+     */
+    _open() {
+        if( typeof( this.database ) !== 'undefined' ) {
+            return this.database;
+        }
+
+        this.database = new Promise( ( resolve, reject ) => {
+            if( typeof( indexedDB ) == 'undefined' ) {
+                reject( new Error( "Offline_Queue: IndexedDB is not available" ) );
+                return;
+            }
+
+            let request = indexedDB.open( this.options.database, 1 );
+            request.onupgradeneeded = () => {
+                let store = request.result.createObjectStore( edit_store, {
+                    keyPath:       'id',
+                    autoIncrement: true,
+                } );
+                store.createIndex( 'queue', 'queue' );
+            };
+            request.onsuccess = () => {
+                resolve( request.result );
+            };
+            request.onerror = () => {
+                reject( new Error( `Offline_Queue: could not open the database: ${request.error}` ) );
+            };
+        } );
+
+        // let the next call try again instead of failing forever.
+        this.database.catch( () => {
+            this.database = undefined;
+        } );
+
+        return this.database;
+    }
+
+    /**
+     * Run a request against the edit store in its own transaction.
+     * @param  {String}   mode      - 'readonly' or 'readwrite'.
+     * @param  {Function} callback  - Passed the IDBObjectStore, returns the IDBRequest to wait on.
+     * @return {Promise}            - Resolves with the result of the request once the transaction is complete.
+     */
+    _request( mode, callback ) {
+        return this._open().then( ( database ) => {
+            return new Promise( ( resolve, reject ) => {
+                let transaction = database.transaction( edit_store, mode );
+                let request = callback( transaction.objectStore( edit_store ) );
+
+                transaction.oncomplete = () => {
+                    resolve( request.result );
+                };
+                transaction.onerror = () => {
+                    reject( new Error( `Offline_Queue: ${transaction.error}` ) );
+                };
+                transaction.onabort = transaction.onerror;
+            } );
+        } );
+    }
+
+    /**
+     * Add an edit to the end of the queue.
+     * @param  {Object} edit   - { key, column, new_value, old_value, time }, time is when the edit
+     *                           was made and defaults to now.
+     * @return {Promise}       - Resolves with the id of the stored edit.
+     */
+    add( edit ) {
+        let record = Object.assign( {}, edit, {
+            queue: this.name,
+            time:  edit.time || Date.now(),
+        } );
+        delete record.id;
+
+        return this._request( 'readwrite', ( store ) => {
+            return store.add( record );
+        } );
+    }
+
+    /**
+     * Get every edit in the queue, oldest first.
+     * @return {Promise}   - Resolves with an array of edits.
+     */
+    all() {
+        return this._request( 'readonly', ( store ) => {
+            return store.index( 'queue' ).getAll( this.name );
+        } ).then( ( edits ) => {
+            return edits.sort( ( a, b ) => {
+                return a.id - b.id;
+            } );
+        } );
+    }
+
+    /**
+     * Remove an edit from the queue.
+     * @param  {Number} id   - id of the edit.
+     * @return {Promise}     - Resolves once the edit is removed.
+     */
+    remove( id ) {
+        return this._request( 'readwrite', ( store ) => {
+            return store.delete( id );
+        } );
+    }
+
+    /**
+     * Remove every edit in the queue.
+     * @return {Promise}     - Resolves once the queue is empty.
+     */
+    clear() {
+        return this.all().then( ( edits ) => {
+            return this._request( 'readwrite', ( store ) => {
+                let request = undefined;
+                for( let edit of edits ) {
+                    request = store.delete( edit.id );
+                }
+                return request || store.count();
+            } );
+        } );
+    }
+}
@@ -1,25 +1,165 @@
 /**
  *
  * Options:
+ *     url                 - String  - URL of the WebSocket server. ie: 'wss://example.com/api/grid/data'
+ *     timeout             - Number  - How long, in milliseconds, to wait for a reply before rejecting
+ *                                     the request. Set to 0 to wait forever. (default: 30000)
+ *     reconnect           - Boolean - Reconnect automatically when the connection drops. (default: true)
+ *     reconnect_delay     - Number  - Delay, in milliseconds, before the first reconnect attempt.
+ *                                     Each following attempt doubles the delay. (default: 1000)
+ *     reconnect_max_delay - Number  - Upper limit for the reconnect delay. (default: 30000)
+ *     reconnect_attempts  - Number  - Give up after this many failed attempts, 0 never gives up. (default: 0)
+ *     handshake           - Boolean - Negotiate the protocol version with the server before sending
+ *                                     any requests. (default: true)
+ *     versions            - Array   - Protocol versions this client understands, in order of preference.
+ *                                     (default: [ 1 ])
+ *     heartbeat_interval  - Number  - How often, in milliseconds, to ping the server while the connection
+ *                                     is open. Set to 0 to turn off the heartbeat. (default: 30000)
+ *     heartbeat_timeout   - Number  - How long to wait for a pong before the connection is treated as
+ *                                     dead and a reconnect is started. (default: 10000)
  *
+ * Events: (use socket.bind( event, callback ) to listen for them)
+ *     state.changed - Fires when the connection state changes. The callback is passed
+ *                     { state, previous, attempt } where state is one of:
+ *                     'connecting', 'open', 'reconnecting', or 'closed'.
+ *     insert        - The server added rows, the callback is passed the packet payload.
+ *     update        - The server changed rows, the callback is passed the packet payload.
+ *     delete        - The server removed rows, the callback is passed the packet payload.
+ *     error         - The server sent an error frame, a frame was invalid, the WebSocket failed,
+ *                     or the server stopped answering pings.
+ *                     The callback is passed { code, message, call_id, channel }.
  *
+ * While the socket isn't open outgoing packets are queued, once the connection
+ * is (re)established they are sent to the server in the order they were queued.
+ * Requests that were already sent when the connection drops are rejected with an
+ * error whose code is 'disconnected', the server may or may not have handled them.
+ *
+ * Protocol:
+ *
+ * Every frame, in both directions, is a JSON object with the following envelope:
+ *
+ *     type     - String - What kind of frame this is, ie: 'load', 'save', 'reply', 'error', 'insert'.
+ *     version  - Number - Protocol version the frame was written for.
+ *     call_id  - String - Identifies a request and the reply to it. Pushed frames don't have one.
+ *     channel  - String - Only on frames that belong to a channel, see Channels below.
+ *     payload  - Any    - The data carried by the frame.
+ *     error    - Object - Only on error frames: { code, message }
+ *
+ * Frames from the server that aren't objects, don't have a type, or don't have a numeric
+ * version are ignored and reported with an error event.
+ *
+ * Handshake: when the socket opens the client sends a hello frame listing the versions it
+ * understands, the server answers with a welcome frame written in the version it chose.
+ * Requests are held in the queue until the handshake is done.
+ *
+ *     { type: 'hello', version: 1, call_id: 'Zy98Xw76', payload: { versions: [ 1 ] } }
+ *     { type: 'welcome', version: 1, call_id: 'Zy98Xw76' }
+ *
+ * Every request sent to the server is stamped with a call_id. The server is expected
+ * to reply with a frame carrying the same call_id and either a payload or an error:
+ *
+ *     { type: 'load', version: 1, call_id: 'Ab12Cd34', payload: { offset: 0, limit: 100 } }
+ *     { type: 'reply', version: 1, call_id: 'Ab12Cd34', payload: { rows: [ ... ], total: 2500 } }
+ *     { type: 'error', version: 1, call_id: 'Ab12Cd34', error: { code: 'forbidden', message: 'Access denied' } }
+ *
+ * The server can also push changes to the data without being asked. These frames
+ * don't have a call_id, they are dispatched as connection events named after their type:
+ *
+ *     { type: 'insert', version: 1, payload: { rows: [ { id: 5, name: 'New row' } ] } }
+ *     { type: 'update', version: 1, payload: { rows: [ { id: 5, name: 'Changed name' } ] } }
+ *     { type: 'delete', version: 1, payload: { rows: [ { id: 5 } ] } }
+ *
+ * Payloads with rows can also use the grid's compact columnar and delta formats:
+ *
+ *     { type: 'update', version: 1, payload: { columns: [ 'id', 'name' ], delta: [ [ 5, 1, 'Changed name' ] ] } }
+ *
+ * An error frame without a call_id reports a problem that isn't tied to a request.
+ *
+ * A request can be cancelled with socket.cancel( call_id ). If the request is still queued it
+ * is never sent, otherwise a cancel frame is sent so the server can stop working on it:
+ *
+ *     { type: 'cancel', version: 1, call_id: 'Ab12Cd34' }
+ *
+ * Replies that arrive for a cancelled request are ignored.
+ *
+ * Heartbeat: proxies can drop an idle connection without the browser seeing a close for
+ * minutes. While the connection is open the client pings the server every heartbeat_interval,
+ * and the server must answer with a pong carrying the same call_id. When no pong arrives within
+ * heartbeat_timeout the socket is abandoned and a reconnect is started. The client answers
+ * pings from the server the same way.
+ *
+ *     { type: 'ping', version: 1, call_id: 'Qr56St78' }
+ *     { type: 'pong', version: 1, call_id: 'Qr56St78' }
+ *
+ * Channels: several grids can share one socket, each one using its own channel (see Channel).
+ * Socket.shared( options ) returns the socket already open to options.url, or opens a new one.
+ * The first channel opened for a name subscribes to it, and the last one closed unsubscribes.
+ * Subscriptions are sent again after a reconnect, and a shared socket closes once its
+ * last channel is closed.
+ *
+ *     { type: 'subscribe', version: 1, channel: 'orders' }
+ *     { type: 'unsubscribe', version: 1, channel: 'orders' }
+ *
+ * Requests sent on a channel have the channel in their envelope, and pushed frames with a
+ * channel are only dispatched to that channel:
+ *
+ *     { type: 'insert', version: 1, channel: 'orders', payload: { rows: [ { id: 5 } ] } }
+ */
+import { Channel } from './channel.js';
+import { Connection, make_id, reconnect_delay } from './connection.js';
+
+/**
+ * Types of packets the server can push to us that aren't replies to a request.
+ */
+const push_types = [ 'insert', 'update', 'delete' ];
+
+/**
+ * Sockets returned by Socket.shared(), keyed by url.
  */
-import { Connection } from './connection.js';
+let shared_sockets = {};
 
 /**
- * Generate a simple random string to identify the request/response.
- * Function borrowed from: https://stackoverflow.com/a/1349426/7082336
+ * Default values for the socket options.
  */
-function make_id() {
-    let text = "";
-    let possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+let socket_defaults = {
+    handshake:           true,
+    heartbeat_interval:  30000,
+    heartbeat_timeout:   10000,
+    reconnect:           true,
+    reconnect_attempts:  0,
+    reconnect_delay:     1000,
+    reconnect_max_delay: 30000,
+    timeout:             30000,
+    versions:            [ 1 ],
+};
 
-    for( let i = 0; i < 8; i++ ) {
-        text += possible.charAt( Math.floor( Math.random() * possible.length ) );
+/**
+ * Check the envelope of a frame received from the server.
+ * @param  {*} frame   - The parsed frame.
+ * @return {String}    - Description of the problem, or '' if the frame is valid.
+ */
+function _validate_frame( frame ) {
+    if( frame === null || typeof( frame ) !== 'object' || Array.isArray( frame ) ) {
+        return 'frame is not an object';
+    }
+    if( typeof( frame.type ) !== 'string' || frame.type == '' ) {
+        return 'frame is missing its type';
+    }
+    if( ! Number.isInteger( frame.version ) ) {
+        return 'frame is missing its version';
+    }
+    if( typeof( frame.call_id ) !== 'undefined' && typeof( frame.call_id ) !== 'string' ) {
+        return 'frame has an invalid call_id';
+    }
+    if( typeof( frame.channel ) !== 'undefined' && typeof( frame.channel ) !== 'string' ) {
+        return 'frame has an invalid channel';
+    }
+    if( frame.type == 'error' && ( frame.error === null || typeof( frame.error ) !== 'object' ) ) {
+        return 'error frame is missing its error';
     }
-    return text;
-}
 
+    return '';
+}
 
 export class Socket extends Connection {
     constructor( options = {} ) {
@@ -30,68 +170,610 @@ export class Socket extends Connection {
         }
 
         this.type = 'socket';
+        this.options = Object.assign( {}, socket_defaults, options );
+
+        // Requests waiting on a reply from the server, keyed by call_id.
+        this.pending = {};
+
+        // Packets waiting for the connection to open, in the order they were sent.
+        this.queue = [];
+
+        this.state = 'closed';
+        this.attempt = 0;
+        this.reconnect_timer = undefined;
+
+        // Protocol version agreed on with the server, and the call_id of the hello frame.
+        this.version = this.options.versions[ 0 ];
+        this.handshake_id = undefined;
+        this.handshake_timer = undefined;
+
+        // Timers for the heartbeat, and the call_id of the ping waiting on a pong.
+        this.heartbeat_timer = undefined;
+        this.pong_timer = undefined;
+        this.ping_id = undefined;
+
+        // WebSocket event handlers, kept so they can be removed from a dead socket.
+        this.socket_handlers = {
+            message: ( event ) => { this.receive( event ); },
+            open:    ( event ) => { this.opened( event ); },
+            close:   ( event ) => { this.closed( event ); },
+            error:   ( event ) => { this.error( event ); },
+        };
+
+        // Channels using this socket, keyed by channel name. shared is set by Socket.shared().
+        this.channels = {};
+        this.shared = false;
+
+        // Set when the user closes the socket so we don't try to reconnect.
+        this.closing = false;
+
+        this._connect();
+    }
+
+    /**
+     * Get the shared socket for a url, opening it if there isn't one yet.
+     * @param  {Object} options  - Socket options, only used when a new socket is opened.
+     * @return {Socket}          - The socket shared by everyone using options.url.
+     */
+    static shared( options = {} ) {
+        let socket = shared_sockets[ options.url ];
+
+        if( typeof( socket ) == 'undefined' || socket.closing ) {
+            socket = new Socket( options );
+            socket.shared = true;
+            shared_sockets[ options.url ] = socket;
+        }
+
+        return socket;
+    }
+
+    /**
+     * Open a channel on this socket.
+     * @param  {String} name   - Name of the channel on the server.
+     * @return {Channel}       - A connection for the channel, close it when you are done with it.
+     */
+    channel( name ) {
+        let channel = new Channel( this, name );
+
+        if( typeof( this.channels[ name ] ) == 'undefined' ) {
+            this.channels[ name ] = [];
+            if( this.state == 'open' ) {
+                this._subscribe( 'subscribe', name );
+            }
+        }
+        this.channels[ name ].push( channel );
+
+        return channel;
+    }
+
+    /**
+     * Remove a closed channel, unsubscribing when it was the last one with its name.
+     * @param  {Channel} channel  - The channel that was closed.
+     * @return {Promise}          - Resolves once the socket is closed, or right away if it stays open.
+     */
+    _leave( channel ) {
+        let channels = this.channels[ channel.name ] || [];
+        this.channels[ channel.name ] = channels.filter( ( open_channel ) => {
+            return open_channel !== channel;
+        } );
+
+        if( this.channels[ channel.name ].length == 0 ) {
+            delete this.channels[ channel.name ];
+            if( this.state == 'open' ) {
+                this._subscribe( 'unsubscribe', channel.name );
+            }
+        }
+
+        if( this.shared && Object.keys( this.channels ).length == 0 ) {
+            return this.close();
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Tell the server to start or stop sending us a channel's frames.
+     * @param  {String} type   - 'subscribe' or 'unsubscribe'.
+     * @param  {String} name   - Name of the channel.
+     */
+    _subscribe( type, name ) {
+        this.socket.send( JSON.stringify( {
+            type:    type,
+            version: this.version,
+            channel: name,
+        } ) );
+    }
+
+    /**
+     * Open a new WebSocket to the server and connect the event handlers.
+     */
+    _connect() {
+        this._set_state( this.attempt == 0 ? 'connecting' : 'reconnecting' );
+
+        this.socket = new WebSocket( this.options.url );
+        for( let event in this.socket_handlers ) {
+            this.socket.addEventListener( event, this.socket_handlers[ event ] );
+        }
+    }
+
+    /**
+     * Give up on a socket that stopped responding. The browser may not fire its close
+     * event for minutes, so its handlers are removed and the reconnect starts right away.
+     */
+    _drop_socket() {
+        for( let event in this.socket_handlers ) {
+            this.socket.removeEventListener( event, this.socket_handlers[ event ] );
+        }
+        this.socket.close();
+
+        this.closed();
+    }
+
+    /**
+     * Start pinging the server at the heartbeat interval.
+     */
+    _start_heartbeat() {
+        this._stop_heartbeat();
+
+        if( this.options.heartbeat_interval > 0 ) {
+            this.heartbeat_timer = setInterval( () => { this._ping(); }, this.options.heartbeat_interval );
+        }
+    }
+
+    /**
+     * Stop the heartbeat and forget about any ping waiting on a pong.
+     */
+    _stop_heartbeat() {
+        clearInterval( this.heartbeat_timer );
+        clearTimeout( this.pong_timer );
+        this.heartbeat_timer = undefined;
+        this.pong_timer = undefined;
+        this.ping_id = undefined;
+    }
+
+    /**
+     * Ping the server, if the pong doesn't come back in time the connection is dead.
+     */
+    _ping() {
+        // still waiting on the last pong.
+        if( typeof( this.ping_id ) !== 'undefined' ) {
+            return;
+        }
+
+        this.ping_id = make_id();
+        this.socket.send( JSON.stringify( {
+            type:    'ping',
+            version: this.version,
+            call_id: this.ping_id,
+        } ) );
+
+        this.pong_timer = setTimeout( () => {
+            this._report_error( {
+                code:    'heartbeat_timeout',
+                message: 'the server stopped answering pings',
+            } );
 
-        this.is_connected = new Promise( ( resolve, reject ) => {
-            this.socket = new WebSocket( options.url );
-            this.socket.addEventListener( 'message', this.receive );
-            this.socket.addEventListener( 'open', resolve );
-            this.socket.addEventListener( 'close', reject );
-            this.socket.addEventListener( 'error', this.error );
+            this._stop_heartbeat();
+            this._drop_socket();
+        }, this.options.heartbeat_timeout );
+    }
+
+    /**
+     * Change the state of the connection and let any listeners know about it.
+     * @param {String} state   - 'connecting', 'open', 'reconnecting', or 'closed'.
+     */
+    _set_state( state ) {
+        let previous = this.state;
+        if( previous == state ) {
+            return;
+        }
+
+        this.state = state;
+        this._trigger( 'state.changed', {
+            state,
+            previous,
+            attempt: this.attempt,
         } );
     }
 
+    /**
+     * open handler event, start the handshake or send everything that was queued while we were disconnected.
+     * @param  {Event} event  - open event from the WebSocket.
+     */
+    opened( event ) {
+        if( ! this.options.handshake ) {
+            this._ready();
+            return;
+        }
+
+        this.handshake_id = make_id();
+        this.socket.send( JSON.stringify( {
+            type:    'hello',
+            version: this.options.versions[ 0 ],
+            call_id: this.handshake_id,
+            payload: {
+                versions: this.options.versions,
+            },
+        } ) );
+
+        if( this.options.timeout > 0 ) {
+            this.handshake_timer = setTimeout( () => {
+                this._report_error( {
+                    code:    'timeout',
+                    message: 'the server did not answer the handshake',
+                } );
+
+                // closing the socket starts a reconnect.
+                this.socket.close();
+            }, this.options.timeout );
+        }
+    }
+
+    /**
+     * The server answered our hello, check the version it chose.
+     * @param  {Object} frame  - The welcome frame.
+     */
+    _welcome( frame ) {
+        clearTimeout( this.handshake_timer );
+        this.handshake_id = undefined;
+
+        if( ! this.options.versions.includes( frame.version ) ) {
+            this._report_error( {
+                code:    'unsupported_version',
+                message: `server chose protocol version ${frame.version}, which isn't supported`,
+            } );
+
+            // there is no point reconnecting to a server we can't talk to.
+            this.closing = true;
+            this.socket.close();
+            return;
+        }
+
+        this.version = frame.version;
+        this._ready();
+    }
+
+    /**
+     * The connection is ready for requests, send everything that was queued while we were disconnected.
+     */
+    _ready() {
+        this.attempt = 0;
+
+        // the server forgets our subscriptions when the connection drops.
+        for( let name in this.channels ) {
+            this._subscribe( 'subscribe', name );
+        }
+
+        this._set_state( 'open' );
+        this._start_heartbeat();
+        this._flush_queue();
+    }
+
+    /**
+     * close handler event, try to reconnect unless the user closed the connection.
+     * @param  {CloseEvent} event  - close event from the WebSocket.
+     */
+    closed( event ) {
+        let max_attempts = this.options.reconnect_attempts;
+
+        clearTimeout( this.handshake_timer );
+        this.handshake_id = undefined;
+        this._stop_heartbeat();
+
+        if( this.closing
+            || ! this.options.reconnect
+            || ( max_attempts > 0 && this.attempt >= max_attempts )
+        ) {
+            this._set_state( 'closed' );
+            this._reject_all( new Error( "Socket: connection is closed" ) );
+            return;
+        }
+
+        // The replies to requests already sent are lost with the socket.
+        let error = new Error( "Socket: connection lost before the server replied" );
+        error.code = 'disconnected';
+        this._reject_sent( error );
+
+        this.attempt++;
+        this._set_state( 'reconnecting' );
+
+        this.reconnect_timer = setTimeout( () => {
+            this.reconnect_timer = undefined;
+            this._connect();
+        }, reconnect_delay( this.attempt, this.options.reconnect_delay, this.options.reconnect_max_delay ) );
+    }
+
+    /**
+     * Send all the packets that were queued while the socket wasn't open.
+     */
+    _flush_queue() {
+        while( this.queue.length > 0
+            && this.state == 'open'
+            && this.socket.readyState == WebSocket.OPEN
+        ) {
+            let packet = this.queue.shift();
+
+            // the version is set when the frame is sent, it may have changed during the handshake.
+            packet.frame.version = this.version;
+            this.socket.send( JSON.stringify( packet.frame ) );
+        }
+    }
+
+    /**
+     * Reject the requests that were sent and are waiting on a reply, queued ones are kept.
+     * @param  {Error} error   - The error to reject the requests with.
+     */
+    _reject_sent( error ) {
+        let queued = new Set( this.queue.map( ( packet ) => {
+            return packet.call_id;
+        } ) );
+
+        for( let call_id of Object.keys( this.pending ) ) {
+            if( ! queued.has( call_id ) ) {
+                this._settle( call_id, error );
+            }
+        }
+    }
+
+    /**
+     * Reject every request that is queued or still waiting on a reply.
+     * @param  {Error} error   - The error to reject the requests with.
+     */
+    _reject_all( error ) {
+        this.queue = [];
+
+        for( let call_id of Object.keys( this.pending ) ) {
+            this._settle( call_id, error );
+        }
+    }
+
     /**
      * Send data to the server, this function guarantees that the data will
-     * be sent to the server as long as the connection is opened.
+     * be sent to the server as long as the connection is opened. If the
+     * connection is down the data is queued until the socket reconnects.
      *
-     * data can be either a string or object, if it's an object it will be
-     * flattened as JSON and returned to the server stringified.
+     * data is wrapped in the protocol envelope before it's sent. If data is an object with a
+     * type, its type and payload are used for the envelope, otherwise the frame has the type
+     * 'request' and data is sent as the payload.
      *
      * @param  {Object/String} data - a data packet to send to the server.
+     * @param  {String}      channel - Name of the channel the request belongs to, if any.
+     * @return {Promise}            - resolves with the payload of the server's reply,
+     *                                rejects on an error reply or when the request times out.
+     *                                The promise has the call_id of the request.
      */
-    send( data ) {
-        this.is_connected.then( () => {
+    send( data, channel ) {
+        let call_id = make_id();
+        let frame = {
+            type:    'request',
+            version: this.version,
+            call_id: call_id,
+            payload: data,
+        };
+
+        if( typeof( channel ) !== 'undefined' ) {
+            frame.channel = channel;
+        }
+
+        if( data !== null && typeof( data ) == 'object' && typeof( data.type ) == 'string' ) {
+            frame.type = data.type;
+            frame.payload = data.payload;
+        }
+
+        let request = new Promise( ( resolve, reject ) => {
+            if( this.state == 'closed' ) {
+                reject( new Error( "Socket: connection is closed" ) );
+                return;
+            }
+
+            let pending = {
+                resolve,
+                reject,
+                timer: undefined,
+            };
 
-            if( typeof( data ) !== 'object' ) {
-                data = {
-                    data,
-                };
+            if( this.options.timeout > 0 ) {
+                pending.timer = setTimeout( () => {
+                    delete this.pending[ call_id ];
+                    this.queue = this.queue.filter( ( packet ) => {
+                        return packet.call_id !== call_id;
+                    } );
+                    let error = new Error( `Socket: request ${call_id} timed out` );
+                    error.code = 'timeout';
+                    reject( error );
+                }, this.options.timeout );
             }
 
-            data.call_id = make_id();
+            this.pending[ call_id ] = pending;
+
+            this.queue.push( {
+                call_id,
+                frame,
+            } );
+            this._flush_queue();
+        } );
+
+        request.call_id = call_id;
+        return request;
+    }
 
-            let send_data = JSON.stringify( data );
-            this.socket.send( send_data );
+    /**
+     * Cancel a request that is queued or waiting on a reply.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        if( typeof( this.pending[ call_id ] ) == 'undefined' ) {
+            return false;
+        }
+
+        let queued = this.queue.length;
+        this.queue = this.queue.filter( ( packet ) => {
+            return packet.call_id !== call_id;
         } );
+
+        // The request already went out, let the server know it can stop.
+        if( queued == this.queue.length && this.state == 'open' ) {
+            this.socket.send( JSON.stringify( {
+                type:    'cancel',
+                version: this.version,
+                call_id: call_id,
+            } ) );
+        }
+
+        let error = new Error( "Socket: request was cancelled" );
+        error.code = 'cancelled';
+        this._settle( call_id, error );
+
+        return true;
     }
 
     /**
      * receive data from the server and process and dispatch it.
-     * @return {[type]} [description]
+     * @param  {MessageEvent} event  - message event from the WebSocket.
      */
     receive( event ) {
-        console.log( event );
-        if( event.data ) {
+        let frame;
+
+        try{
+            frame = JSON.parse( event.data );
+        }
+        catch( error ) {
+            this._report_error( {
+                code:    'invalid_frame',
+                message: 'could not parse frame',
+            } );
+            return;
+        }
+
+        let problem = _validate_frame( frame );
+        if( problem != '' ) {
+            this._report_error( {
+                code:    'invalid_frame',
+                message: problem,
+                call_id: ( frame && typeof( frame.call_id ) == 'string' ? frame.call_id : undefined ),
+            } );
+            return;
+        }
+
+        if( frame.type == 'welcome' && frame.call_id === this.handshake_id ) {
+            this._welcome( frame );
+        }
+        else if( frame.type == 'pong' ) {
+            if( frame.call_id === this.ping_id ) {
+                clearTimeout( this.pong_timer );
+                this.pong_timer = undefined;
+                this.ping_id = undefined;
+            }
+        }
+        else if( frame.type == 'ping' ) {
+            this.socket.send( JSON.stringify( {
+                type:    'pong',
+                version: this.version,
+                call_id: frame.call_id,
+            } ) );
+        }
+        else if( frame.type == 'error' ) {
+            let error = new Error( `Socket: ${frame.error.message || frame.error.code}` );
+            error.code = frame.error.code;
+            error.data = frame.error;
+
+            this._settle( frame.call_id, error );
+
+            // The server confirming a cancel isn't a problem worth reporting.
+            if( error.code == 'cancelled' ) {
+                return;
+            }
+            this._report_error( {
+                code:    frame.error.code,
+                message: frame.error.message,
+                call_id: frame.call_id,
+                channel: frame.channel,
+            } );
+        }
+        else if( typeof( this.pending[ frame.call_id ] ) !== 'undefined' ) {
+            this._settle( frame.call_id, undefined, frame.payload );
+        }
+        else if( push_types.includes( frame.type ) ) {
+            if( typeof( frame.channel ) == 'undefined' ) {
+                this._trigger( frame.type, frame.payload );
+                return;
+            }
+
+            for( let channel of this.channels[ frame.channel ] || [] ) {
+                channel._trigger( frame.type, frame.payload );
+            }
         }
     }
 
     /**
-     * error handler event
-     * @param  {[type]} event [description]
-     * @return {[type]}       [description]
+     * Let the listeners know something went wrong with the connection.
+     * @param  {Object} details  - { code, message, call_id, channel }
      */
-    error( event ) {
+    _report_error( details ) {
+        this._trigger( 'error', details );
+    }
+
+    /**
+     * Resolve or reject the pending request with the given call_id.
+     * @param  {String} call_id   - id of the request to settle.
+     * @param  {Error}  error     - if defined the request is rejected with this error.
+     * @param  {*}      payload   - data to resolve the request with.
+     */
+    _settle( call_id, error, payload ) {
+        let request = this.pending[ call_id ];
+        if( typeof( request ) == 'undefined' ) {
+            return;
+        }
+
+        clearTimeout( request.timer );
+        delete this.pending[ call_id ];
+
+        if( typeof( error ) !== 'undefined' ) {
+            request.reject( error );
+        }
+        else {
+            request.resolve( payload );
+        }
+    }
 
+    /**
+     * error handler event, the WebSocket doesn't give any details about what went wrong.
+     * @param  {Event} event   - error event from the WebSocket.
+     */
+    error( event ) {
+        this._report_error( {
+            code:    'socket_error',
+            message: `could not communicate with ${this.options.url}`,
+        } );
     }
 
     /**
      * close the socket, using a promise so you can chain events
-     * on closing the socket.
+     * on closing the socket. A closed socket will not reconnect.
      *
      * @return {Promise} - Success means the connection is now closed.
      */
     close() {
+        this.closing = true;
+
+        if( shared_sockets[ this.options.url ] === this ) {
+            delete shared_sockets[ this.options.url ];
+        }
+
+        if( typeof( this.reconnect_timer ) !== 'undefined' ) {
+            clearTimeout( this.reconnect_timer );
+            this.reconnect_timer = undefined;
+            this.closed();
+        }
+
         return new Promise( ( resolve, reject ) => {
+            // a dropped socket may never fire its close event, there is nothing left to wait for.
+            if( this.socket.readyState == WebSocket.CLOSED || this.state == 'closed' ) {
+                resolve();
+                return;
+            }
+
             this.socket.addEventListener( 'close', resolve );
             this.socket.close();
         } );
@@ -0,0 +1,281 @@
+/**
+ * A read-only connection to a stream of server-sent events (EventSource). Named events in
+ * the stream are dispatched as the insert/update/delete events the grid listens for, and
+ * requests are sent through a second connection, the writer, which is usually Ajax.
+ *
+ * Options:
+ *     url                 - String            - URL of the event stream. ie: '/api/grid/feed'
+ *     events              - Object            - Maps the names of the events in the stream to the
+ *                                               connection events they are dispatched as.
+ *                                               (default: { insert: 'insert', update: 'update', delete: 'delete' })
+ *     with_credentials    - Boolean           - Send cookies with cross-origin streams. (default: false)
+ *     last_event_id       - String            - Resume the stream after this event id. (default: '')
+ *     last_event_id_param - String            - Query string parameter used to send the last event id
+ *                                               when the stream is reopened. (default: 'last_event_id')
+ *     reconnect_delay     - Number            - Delay, in milliseconds, before reopening a stream the server
+ *                                               closed. Each following attempt doubles the delay. (default: 1000)
+ *     reconnect_max_delay - Number            - Upper limit for the reconnect delay. (default: 30000)
+ *     writer              - Connection/Object - Connection used by send(), or the options for an Ajax
+ *                                               connection. Without a writer, or when it's null, the
+ *                                               connection is read-only.
+ *
+ * Events: (use sse.bind( event, callback ) to listen for them)
+ *     state.changed - Fires when the connection state changes, the callback is passed
+ *                     { state, previous, attempt }, see Socket.
+ *     insert        - The server added rows, the callback is passed the event data.
+ *     update        - The server changed rows, the callback is passed the event data.
+ *     delete        - The server removed rows, the callback is passed the event data.
+ *     error         - The stream failed, the server sent an error event, or an event had invalid data.
+ *                     The callback is passed { code, message }.
+ *
+ * Stream:
+ *
+ * The data of each event is JSON, either an array of rows or an object in the form { rows: [ ... ] }.
+ * Give every event an id so the stream can be resumed where it left off:
+ *
+ *     id: 1042
+ *     event: update
+ *     data: { "rows": [ { "id": 5, "name": "Changed name" } ] }
+ *
+ * When the browser reconnects on its own it sends the Last-Event-ID header. A stream the server
+ * closed is reopened by the connection, which can't set headers, so the last id is sent in the
+ * query string instead: /api/grid/feed?last_event_id=1042
+ *
+ * An event named error reports a problem from the server: data: { "code": "forbidden", "message": "Access denied" }
+ */
+
+import { Ajax } from './ajax.js';
+import { Connection, reconnect_delay } from './connection.js';
+
+/**
+ * Default values for the sse options.
+ */
+let sse_defaults = {
+    events:              {
+        delete: 'delete',
+        insert: 'insert',
+        update: 'update',
+    },
+    last_event_id:       '',
+    last_event_id_param: 'last_event_id',
+    reconnect_delay:     1000,
+    reconnect_max_delay: 30000,
+    with_credentials:    false,
+    writer:              undefined,
+};
+
+export class Sse extends Connection {
+    constructor( options = {} ) {
+        super( options );
+
+        if( typeof( options.url ) == 'undefined' || options.url == '' ) {
+            throw new Error( "Sse: missing required url" );
+        }
+
+        this.type = 'sse';
+        this.options = Object.assign( {}, sse_defaults, options );
+
+        // id of the last event received, used to resume the stream.
+        this.last_event_id = String( this.options.last_event_id );
+
+        this.state = 'closed';
+        this.attempt = 0;
+        this.reconnect_timer = undefined;
+
+        // Set when the user closes the connection so we don't try to reconnect.
+        this.closing = false;
+
+        this.writer = this.options.writer;
+        if( this.writer === null ) {
+            this.writer = undefined;
+        }
+        else if( typeof( this.writer ) == 'object' && ! ( this.writer instanceof Connection ) ) {
+            this.writer = new Ajax( this.writer );
+        }
+
+        this._connect();
+    }
+
+    /**
+     * Open the event stream and connect the event handlers.
+     */
+    _connect() {
+        this._set_state( this.attempt == 0 ? 'connecting' : 'reconnecting' );
+
+        let url = this.options.url;
+        if( this.last_event_id !== '' ) {
+            let param = `${encodeURIComponent( this.options.last_event_id_param )}=${encodeURIComponent( this.last_event_id )}`;
+            url += ( url.indexOf( '?' ) == -1 ? '?' : '&' ) + param;
+        }
+
+        this.source = new EventSource( url, {
+            withCredentials: this.options.with_credentials,
+        } );
+        this.source.addEventListener( 'open', ( event ) => { this.opened( event ); } );
+        this.source.addEventListener( 'error', ( event ) => { this.error( event ); } );
+
+        for( let name in this.options.events ) {
+            this.source.addEventListener( name, ( event ) => { this.receive( this.options.events[ name ], event ); } );
+        }
+    }
+
+    /**
+     * Change the state of the connection and let any listeners know about it.
+     * @param {String} state   - 'connecting', 'open', 'reconnecting', or 'closed'.
+     */
+    _set_state( state ) {
+        let previous = this.state;
+        if( previous == state ) {
+            return;
+        }
+
+        this.state = state;
+        this._trigger( 'state.changed', {
+            state,
+            previous,
+            attempt: this.attempt,
+        } );
+    }
+
+    /**
+     * open handler event.
+     * @param  {Event} event  - open event from the EventSource.
+     */
+    opened( event ) {
+        this.attempt = 0;
+        this._set_state( 'open' );
+    }
+
+    /**
+     * Dispatch an event from the stream as a connection event.
+     * @param  {String}       type   - Name of the connection event to trigger.
+     * @param  {MessageEvent} event  - The event from the stream.
+     */
+    receive( type, event ) {
+        if( typeof( event.lastEventId ) == 'string' && event.lastEventId !== '' ) {
+            this.last_event_id = event.lastEventId;
+        }
+
+        let payload;
+        try{
+            payload = JSON.parse( event.data );
+        }
+        catch( error ) {
+            this._report_error( {
+                code:    'invalid_frame',
+                message: `${event.type} event data is not valid JSON`,
+            } );
+            return;
+        }
+
+        if( Array.isArray( payload ) ) {
+            payload = {
+                rows: payload,
+            };
+        }
+
+        this._trigger( type, payload );
+    }
+
+    /**
+     * error handler event. The EventSource fires error for network failures, and the server
+     * can send events named error. When the stream is closed we reopen it ourselves.
+     * @param  {Event} event  - error event from the EventSource.
+     */
+    error( event ) {
+        // an error event sent by the server.
+        if( typeof( event.data ) == 'string' ) {
+            let details = {};
+            try{
+                details = JSON.parse( event.data );
+            }
+            catch( error ) {
+                details.message = event.data;
+            }
+
+            this._report_error( {
+                code:    details.code || 'server_error',
+                message: details.message || 'the server reported an error',
+            } );
+            return;
+        }
+
+        if( this.closing ) {
+            return;
+        }
+
+        this._report_error( {
+            code:    'socket_error',
+            message: `could not communicate with ${this.options.url}`,
+        } );
+
+        // the browser is already reconnecting and will send the Last-Event-ID header.
+        if( this.source.readyState == EventSource.CONNECTING ) {
+            this.attempt++;
+            this._set_state( 'reconnecting' );
+            return;
+        }
+
+        this.source.close();
+        this.attempt++;
+        this._set_state( 'reconnecting' );
+
+        this.reconnect_timer = setTimeout( () => {
+            this.reconnect_timer = undefined;
+            this._connect();
+        }, reconnect_delay( this.attempt, this.options.reconnect_delay, this.options.reconnect_max_delay ) );
+    }
+
+    /**
+     * Let the listeners know something went wrong with the connection.
+     * @param  {Object} details  - { code, message }
+     */
+    _report_error( details ) {
+        this._trigger( 'error', details );
+    }
+
+    /**
+     * Send a request to the server through the writer.
+     * @param  {Object} data   - data to send to the server.
+     * @return {Promise}       - the writer's promise, rejects if the connection is read-only.
+     */
+    send( data ) {
+        if( typeof( this.writer ) == 'undefined' ) {
+            return Promise.reject( new Error( "Sse: connection is read-only, there is no writer" ) );
+        }
+
+        return this.writer.send( data );
+    }
+
+    /**
+     * Cancel a request sent through the writer.
+     * @param  {String} call_id  - call_id of the promise returned by send().
+     * @return {Boolean}         - Was there a request to cancel?
+     */
+    cancel( call_id ) {
+        if( typeof( this.writer ) == 'undefined' ) {
+            return false;
+        }
+
+        return this.writer.cancel( call_id );
+    }
+
+    /**
+     * Close the stream and the writer. A closed connection will not reconnect.
+     */
+    close() {
+        this.closing = true;
+
+        clearTimeout( this.reconnect_timer );
+        this.reconnect_timer = undefined;
+
+        this.source.close();
+        this._set_state( 'closed' );
+
+        if( typeof( this.writer ) !== 'undefined' ) {
+            this.writer.close();
+        }
+
+        return true;
+    }
+}
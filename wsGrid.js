@@ -27,10 +27,16 @@
  *     min_length   - Number           - Minimum length of input.
  *
  * column_reorder:                 - Enable reordering of columns using drag and drop.
- * connection:
- *     type      - String          - Type of connection used: 'Ajax' or 'Socket'.
- *     url       - String          - URL used to connect to the server.
+ * connection:         - An existing Connection object for the grid to use instead of creating one.
+ * connection_type:    - Type of connection the grid creates: 'Ajax', 'Socket', or 'Sse'. (default: 'socket')
+ * connection_options: - Options passed to the connection when the grid creates it.
+ *     type      - String          - Overrides connection_type.
+ *     url       - String          - URL used to connect to the server. No connection is created without one.
  *                                   examples: '/api/grid/data', 'wss://example.com/api/grid/data'
+ *     channel   - String          - Socket only, use this channel on the socket shared by every grid
+ *                                   connecting to the same url instead of opening a socket per grid.
+ *     writer    - Object          - Sse only, options for the Ajax connection used to load and save data,
+ *                                   the event stream only delivers live updates. See sse.js for the rest.
  * currency:        - Override function for how to format numbers as currency.
  * events:          - an object containing user orverride event functions as elements.
  *                    all events are executed with 'this' set to the current grid.
@@ -40,6 +46,7 @@
  *     load_complete( data )                 - After the data has been given to the grid,
  *                                             but before the ui is generated.
  *     data_loaded( data )                   - After the data is loaded, but before the grid is generated.
+ *                                             Return an array to replace the rows that will be displayed.
  *     data_changed( change )                - Fires when the internal data for the grid is changed.
  *                                             change contains row_id, column_name, new_value, old_value,
  *     row_classes( row_id, row_data )               - Allows the user to apply classes to a row, return array of strings.
@@ -52,28 +59,177 @@
  *     before_inline_opened( row, column_name, value, row_data )     - return '' to prevent a dialog opening.
  *     before_close( row, column_name, value, row_data )     - can prevent the editor from closing and loosing focus.
  *     before_inline_submitted( row, column_name, value, row_data )  - can manipulate the data before it's saved to the local data model.
+ * auto_save:       - Send each inline edit to the server as soon as the editor closes. The new value
+ *                    is shown right away, and rolled back if the server rejects it. (default: false)
  * bindable events:
  *     cell.changed
+ *     cell.rejected
  *     column.moved
+ *     connection.error
+ *     conflict
+ *     connection.state_changed
  *     recordset.changed
+ *     recordset.saved
  *     row.moved
  *     row.resized
  *     selection.changed
+ *     transaction.committed
+ *     transaction.rolled_back
  * filters:         - An object with filtering functions.
  * height:          - Height of grid. Set the height to an empty string to allow the grid to be the height of the data.
  * id:              - ID of DOM element that will contain this grid.
+ * max_update_rate: - Most times per second the updates queued by throttle_updates are applied,
+ *                    0 applies them on every animation frame. (default: 0)
+ * offline_queue:   - Keep edits made while the connection is down in IndexedDB and send them, in order,
+ *                    when it comes back. true names the queue after the grid id, or give it a name.
+ *                    Needs a unique_key so the edits can be matched to their records after a reload.
+ *                    (default: false)
  * overflow:        - Allow the columns to overflow the width of the grid. (default: false)
+ * overscan_columns: - Number of columns generated on each side of the viewport with virtual_columns on.
+ *                     (default: 2)
+ * overscan_rows:   - Number of rows generated above and below the viewport with virtual_scroll on,
+ *                    so short scrolls don't show empty space. (default: 10)
+ * page_size:       - Number of rows requested per page in remote mode, 0 loads every row. (default: 0)
+ * remote:          - Sort, filter and page the data on the server instead of in the browser. (default: false)
+ * row_height:      - Height of a row in pixels, used by virtual_scroll to size the rows that aren't
+ *                    generated. 0 measures the first row generated. (default: 0)
+ * status_indicator: - Show a badge with the state of the connection (connected, reconnecting, or offline)
+ *                     and the time of the last update from the server. (default: false)
+ * throttle_updates: - Queue update_records() calls and the changes pushed by the connection, and apply
+ *                     them together once per animation frame. See Throttled updates. (default: false)
+ * unique_key:      - Name of the column that uniquely identifies each record. Required for
+ *                    applying updates and deletes pushed from the server.
+ * version_field:   - Name of the field holding each record's version. When set, updates pushed from the
+ *                    server are checked for conflicts with the user's unsaved changes, see Conflicts.
+ *                    The field doesn't need to be a column. Versions are compared as numbers when they're
+ *                    numeric, otherwise as strings, so timestamps should be ISO 8601. (default: '')
+ * virtual_columns: - Only generate the columns in and around the horizontal viewport, plus the frozen
+ *                    columns, for grids with hundreds of columns. The columns out of view are replaced
+ *                    by spacer cells as wide as they are. (default: false)
+ * virtual_scroll:  - Only generate the rows in and around the viewport, for grids with thousands of rows.
+ *                    Needs a fixed height, and every row, grouping headers and footers included, is
+ *                    expected to be row_height tall. See Virtual scrolling. (default: false)
  * width:           - Width of grid.
+ * worker:          - URL of grid_worker.js, ie: '/js/wsgrid/grid_worker.js'. When set the data is sorted
+ *                    and filtered in a Web Worker so big data sets don't freeze the page.
+ *                    See Worker sorting. (default: '')
  * grouping:        - Array of objects containing grouping options. A grouping object can contain the following options:
  *     column:                               - column name to sort or
  *     sort_order                            - sort order asc, or desc
  *     header
  *     footer
  *
+ *
+ * Loading data:
+ *     grid.load( params ) sends a request through the grid's connection and displays the rows
+ *     in the reply. The request sent to the server is { type: 'load', payload: params }, the
+ *     reply can be an array of rows, or an object in the form { rows: [ ... ] }.
+ *
+ *     In remote mode the payload also contains the state of the grid, and the reply
+ *     should contain the total number of rows matching the filters:
+ *         payload: { offset: 0, limit: 100, sort: [ { column: 'age', direction: 'asc' } ], filters: [ ... ] }
+ *         reply:   { rows: [ ... ], total: 2500 }
+ *
+ *     Large replies can use the columnar format, which names each column once instead of
+ *     repeating the keys in every row. display() and pushed inserts accept it as well:
+ *         { columns: [ 'id', 'name', 'age' ], rows: [ [ 1, 'Bob', 42 ], [ 2, 'Sue', 37 ] ], total: 2500 }
+ *
+ *     Starting a load while another is still running cancels the older request, so fast
+ *     typing in a filter or repeated sorting only displays the reply to the newest request.
+ *
+ * Live updates:
+ *     When the connection pushes insert, update, or delete events the grid applies them
+ *     with append_rows(), update_records(), and delete_matches() using the unique_key column.
+ *     The selection, checked rows, an open editor, and the scroll position are kept.
+ *
+ *     Updates can be sent as a delta that only carries the cells that changed. Each entry starts
+ *     with the record's unique_key value, which must be the first column, followed by pairs of
+ *     column index and new value:
+ *         { columns: [ 'id', 'name', 'age' ], delta: [ [ 5, 1, 'New name' ], [ 7, 2, 31, 1, 'Ann' ] ] }
+ *
+ * Saving data:
+ *     grid.save() sends every changed record to the server, identified by its unique_key value
+ *     (or its row id when there isn't a unique_key), in the form:
+ *         { type: 'save', payload: { changes: [ { key: 5, changes: { age: { new_value: 30, old_value: 29 } } } ] } }
+ *     The server replies with the keys it saved, and the records it rejected with a message
+ *     for the record and/or for each rejected column:
+ *         { accepted: [ 5 ], rejected: [ { key: 7, message: 'Locked', errors: { age: 'Too old' } } ] }
+ *
+ * Transactions:
+ *     grid.begin_transaction() groups the cell changes, appended rows, and deleted rows that follow
+ *     it. Nothing is announced or saved until grid.commit(), which sends everything to the server
+ *     in one message:
+ *         { type: 'transaction', payload: { changes: [ ... ], inserts: [ { ... } ], deletes: [ 7 ] } }
+ *     changes has the same form as a save, inserts has the new records, and deletes has the keys
+ *     of the removed records. The server must apply all of it or none of it, and reply with
+ *         { accepted: true }  or  { accepted: false, message: 'Locked', rejected: [ ... ] }
+ *     Once the server accepts it a single cell.changed event is dispatched with every change.
+ *     A rejected or failed commit, or grid.rollback(), undoes every operation in the transaction.
+ *     Changes pushed from the server are applied right away and aren't part of the transaction.
+ *
+ * Batch updates:
+ *     grid.batch( () => { ... } ) runs code that makes many changes, ie: cell_value() in a loop,
+ *     update_records(), and set_totals_row(), without rendering or dispatching cell.changed and
+ *     recordset.changed for each one. When it returns the grid is rendered once, and one cell.changed
+ *     event with every change and one recordset.changed event are dispatched. grid.begin_update() and
+ *     grid.end_update() do the same for changes that don't fit in one function, and can be nested.
+ *
+ * Throttled updates:
+ *     With throttle_updates on, update_records() and the inserts, updates, and deletes pushed by the
+ *     connection don't change the data right away. They're queued, and the queue is applied as one
+ *     batch on the next animation frame, or less often with max_update_rate, so a stream of updates
+ *     renders the grid at most once a frame and leaves time for the user's input. Updates to the same
+ *     record that arrive in a row are merged into one. Call grid.flush_updates() to apply the queue
+ *     right away, ie: before reading data a queued update changes.
+ *
+ * Offline edits:
+ *     With offline_queue on, cells edited with the inline editor or cell_value() while the connection
+ *     is down are stored in IndexedDB and marked with the wsgrid__cell_unsynced class. The edits are
+ *     applied again every time the data is loaded, so they survive a page reload, and are sent to the
+ *     server one at a time, in the order they were made, when the connection opens. An edit the server
+ *     rejects is rolled back the same way as with auto_save. An edit that can't be stored, ie: IndexedDB
+ *     isn't available or is full, is kept in memory and sent the same way, and connection.error is
+ *     dispatched with the code 'queue_error' since the edit won't survive a page reload.
+ *
+ * Conflicts:
+ *     With a version_field the grid remembers the version of every record it receives. A pushed update
+ *     with a version that isn't newer is ignored. A newer update that changes a cell the user has changed
+ *     but not saved, or has the inline editor open on, is a conflict and is held back. The conflict event
+ *     is dispatched with e.data = { key, row, version, remote, columns: { name: { mine, theirs, base } } },
+ *     call e.preventDefault() to handle it yourself, otherwise a dialog lets the user keep their values,
+ *     take the server's, or choose per cell. Either way the conflict is settled with
+ *     grid.resolve_conflict( key, resolution ). Cells the update changes that don't conflict are
+ *     applied when the conflict is resolved.
+ *
+ * Virtual scrolling:
+ *     With virtual_scroll on the body only holds the rows in the viewport, plus overscan_rows above
+ *     and below it. Spacer rows stand in for the rest so the scrollbar matches the full data set, and
+ *     the rows are generated again as the grid scrolls. Rows that aren't generated keep their state:
+ *     multi_select checkboxes are remembered per record, and refresh_cell() on a row that isn't in the
+ *     DOM does nothing since the row is generated from the data when it scrolls into view. An inline
+ *     editor scrolled out of view is closed and its value saved, and moving between editors with the
+ *     keyboard scrolls the next cell into view.
+ *
+ * Worker sorting:
+ *     With the worker option set, sorting the grouping columns when data is displayed, sorting by
+ *     clicking a column header, and filter() run in a Web Worker. Only the values of the columns being
+ *     sorted and filtered are sent, the worker replies with the new order of the records, and the grid
+ *     renders them when it arrives, so the page stays responsive while a large data set is sorted.
+ *     Sorting again before the reply arrives replaces the request. This makes display() asynchronous
+ *     for grouped or filtered data: it returns before the rows are sorted and rendered, and
+ *     recordset.changed is dispatched once they are. The promise load() returns resolves after the
+ *     rows are rendered. Dates are converted in the worker without moment, in the formats the grid
+ *     sorts: YYYY-MM-DD and M/D/YYYY, followed by HH:mm:ss or h:mm:ss AM/PM for datetimes.
+ *     Columns with a sort or type function are sorted on the main thread, as is everything if the
+ *     browser doesn't support module workers or the worker script can't be loaded.
  **/
 
+import { Ajax } from './ajax.js';
 import { Number_Utility } from './number_utility.js';
 import { Object_Base } from './object_base.js';
+import { Offline_Queue } from './offline_queue.js';
+import { Socket } from './socket.js';
+import { Sse } from './sse.js';
 
 /**
  * Define names for parts of the grid.
@@ -90,6 +246,44 @@ const wsgrid_editor      = `${wsgrid_prefix}_editor`;
 const wsgrid_totals      = `${wsgrid_prefix}_totals`;
 const wsgrid_multiselect = `${wsgrid_prefix}_multiselect`;
 const wsgrid_data        = `${wsgrid_prefix}_data`;
+const wsgrid_overlay     = `${wsgrid_prefix}_overlay`;
+const wsgrid_pager       = `${wsgrid_prefix}_pager`;
+const wsgrid_status      = `${wsgrid_prefix}_status`;
+const wsgrid_conflict    = `${wsgrid_prefix}_conflict`;
+
+/**
+ * Connection classes the grid can create, keyed by connection_type.
+ */
+const connection_types = {
+    ajax:   Ajax,
+    socket: Socket,
+    sse:    Sse,
+};
+
+/**
+ * How each connection state is shown by the status indicator.
+ */
+const connection_status = {
+    closed:       { status: 'offline', label: 'Offline' },
+    connecting:   { status: 'reconnecting', label: 'Connecting' },
+    open:         { status: 'connected', label: 'Connected' },
+    reconnecting: { status: 'reconnecting', label: 'Reconnecting' },
+};
+
+/**
+ * Height, in pixels, assumed for rows with virtual_scroll on until a row has been measured.
+ */
+const default_row_height = 27;
+
+/**
+ * Classes added to rows and cells when the user selects them, kept when the rows are patched.
+ */
+const transient_classes = [ 'selected', 'selected_row' ];
+
+/**
+ * Space, in pixels, a cell takes up on top of its column width: 3px of padding on each side and a 1px border.
+ */
+const column_padding = 7;
 
 function _default_format( value ) {
     if( value === undefined ) {
@@ -144,6 +338,7 @@ let column_defaults = {
  * Define default values for grid options.
  */
 let grid_defaults = {
+    auto_save:          false,
     background:         'white',
     background_alt:     'lightcyan',
     cell_word_wrap:     true,
@@ -152,6 +347,7 @@ let grid_defaults = {
     column_reorder:     false,
     column_resize:      true,
     column_sort:        true,
+    connection:         undefined,
     connection_type:    'socket',
     connection_options: {
         url: '',
@@ -161,12 +357,26 @@ let grid_defaults = {
     filters:            [],
     grouping_model:     [],
     height:             200,
+    max_update_rate:    0,
     multi_select:       false,
+    offline_queue:      false,
     overflow:           true,
+    overscan_columns:   2,
+    overscan_rows:      10,
+    page_size:          0,
+    remote:             false,
+    row_height:         0,
     row_reorder:        false,
     sort_column:        '',
     sort_direction:     'asc',
+    status_indicator:   false,
+    throttle_updates:   false,
+    unique_key:         '',
+    version_field:      '',
+    virtual_columns:    false,
+    virtual_scroll:     false,
     width:              200,
+    worker:             '',
 };
 
 /**
@@ -180,8 +390,11 @@ let cell_metadata = {
     background:      'white',
     changed:         false,
     classes:         '',
+    error:           '',
     old_value:       undefined,
+    pending:         false,
     selected:        false,
+    unsynced:        false,
 };
 
 /**
@@ -201,6 +414,117 @@ function convert_html_entities( string ) {
     } );
 }
 
+/**
+ * Is the payload in the columnar format: { columns: [ ... ], rows: [ [ ... ] ] } or { columns: [ ... ], delta: [ [ ... ] ] }
+ * @param  {*} payload   - Data received from the server.
+ * @return {Boolean}
+ */
+function _is_columnar( payload ) {
+    if( payload === null || typeof( payload ) != 'object' || ! Array.isArray( payload.columns ) ) {
+        return false;
+    }
+
+    if( Array.isArray( payload.delta ) ) {
+        return true;
+    }
+
+    return Array.isArray( payload.rows ) && ( payload.rows.length == 0 || Array.isArray( payload.rows[ 0 ] ) );
+}
+
+/**
+ * Turn a columnar payload into row objects. A delta entry starts with the value of the
+ * first column, followed by pairs of column index and value for the cells that changed.
+ * Throws if the payload, or one of its entries, isn't in the columnar format.
+ * @param  {Object} payload  - { columns, rows } or { columns, delta }
+ * @return {Object[]}        - Array of row objects, for a delta they only contain the changed cells.
+ */
+function _decode_columnar( payload ) {
+    let columns = payload.columns;
+    let count = columns.length;
+
+    if( Array.isArray( payload.delta ) ) {
+        return payload.delta.map( ( entry ) => {
+            if( ! Array.isArray( entry ) ) {
+                throw new Error( "Grid: delta entry isn't an array" );
+            }
+
+            let row = {};
+            row[ columns[ 0 ] ] = entry[ 0 ];
+
+            for( let i = 1; i < entry.length; i += 2 ) {
+                let column = columns[ entry[ i ] ];
+                if( typeof( column ) == 'undefined' ) {
+                    throw new Error( `Grid: delta refers to unknown column ${entry[ i ]}` );
+                }
+                row[ column ] = entry[ i + 1 ];
+            }
+
+            return row;
+        } );
+    }
+
+    if( ! Array.isArray( payload.rows ) ) {
+        throw new Error( "Grid: columnar payload doesn't contain rows or a delta" );
+    }
+
+    let rows = new Array( payload.rows.length );
+    for( let i = 0; i < rows.length; i++ ) {
+        let values = payload.rows[ i ];
+        if( ! Array.isArray( values ) ) {
+            throw new Error( "Grid: columnar row isn't an array" );
+        }
+
+        let row = {};
+
+        for( let c = 0; c < count; c++ ) {
+            row[ columns[ c ] ] = values[ c ];
+        }
+        rows[ i ] = row;
+    }
+
+    return rows;
+}
+
+/**
+ * Pull the rows out of a reply to a load request.
+ * @param  {Array/Object} response  - An array of rows, an object containing a rows array,
+ *                                    or a columnar payload.
+ * @return {Array}                  - Array of row objects.
+ */
+function _response_rows( response ) {
+    if( Array.isArray( response ) ) {
+        return response;
+    }
+    if( _is_columnar( response ) ) {
+        return _decode_columnar( response );
+    }
+    if( response && Array.isArray( response.rows ) ) {
+        return response.rows;
+    }
+
+    throw new Error( "Grid: the server reply doesn't contain any rows" );
+}
+
+/**
+ * Is a version of a record newer than the one we know about? Versions are compared as
+ * numbers when both are numeric, ie: "10" is newer than "9", otherwise as strings,
+ * which orders ISO 8601 timestamps correctly.
+ * @param  {Mixed} version  - Version of the record pushed from the server.
+ * @param  {Mixed} known    - Version of the record we have.
+ * @return {Boolean}
+ */
+function _is_newer_version( version, known ) {
+    let is_numeric = ( value ) => {
+        return typeof( value ) == 'number' || ( typeof( value ) == 'string' && value.trim() != '' && ! isNaN( Number( value ) ) );
+    };
+
+    if( is_numeric( version ) && is_numeric( known ) ) {
+        return Number( version ) > Number( known );
+    }
+
+    return String( version ) > String( known );
+}
+
 /**
  * Test if the HTML Element we are looking at is a part of this grid.
  * If so return true otherwise return false.
@@ -258,6 +582,25 @@ export class Grid extends Object_Base {
         // keep track of the event that triggered the inline editor to open.
         this.event_trigger = undefined;
 
+        // The cell with the inline editor open in it, if there is one.
+        this.active_editor = undefined;
+
+        // While true the open editor won't close, used when the rows are regenerated around it.
+        this.editor_suspended = false;
+
+        // The open transaction, see begin_transaction().
+        this.transaction = undefined;
+
+        // How many batches are running, and what they held back, see begin_update().
+        this.update_depth = 0;
+        this.pending_update = undefined;
+
+        // Updates waiting for the next animation frame, see throttle_updates.
+        this.update_queue = [];
+        this.update_frame = undefined;
+        this.last_update_frame = undefined;
+        this.applying_updates = false;
+
         // Define empty structure for the data to be displayed in the grid.
         this.data = [];
         // Define empty structure for the metadata about each cell in the grid.
@@ -265,6 +608,27 @@ export class Grid extends Object_Base {
         // Define placeholder structure for the footer row.
         this.totals_data = undefined;
 
+        // This grid's style element and rules, see _modify_stylesheet_rule().
+        this.style_element = undefined;
+        this.style_rules = {};
+
+        // Records checked with the multi_select checkboxes, kept here since with
+        // virtual_scroll on most of the checkboxes aren't in the DOM.
+        this.checked_rows = new Set();
+
+        // The rows in display order, and the part of them in the DOM, see virtual_scroll.
+        this.row_list = [];
+        this.rendered_rows = { start: 0, end: 0 };
+        this.measured_row_height = undefined;
+
+        // The columns in the DOM, see virtual_columns.
+        this.rendered_columns = { start: 0, end: 0 };
+
+        // The rows in each section of the table keyed by record, and the HTML each row
+        // was generated from, so only the rows that change are patched, see _patch_rows().
+        this.row_elements = new WeakMap();
+        this.row_html = new WeakMap();
+
         this._modify_style_sheet();
 
         /**
@@ -273,6 +637,15 @@ export class Grid extends Object_Base {
          */
         this.is_filtered = false;
 
+        // Which records passed the filters when the worker last ran them, keyed by record.
+        // A record that changes is dropped, and filtered on the main thread again.
+        this.filter_results = new WeakMap();
+
+        // The Web Worker that sorts and filters the data, and its requests keyed by id, see _sort_in_worker().
+        this.data_worker = undefined;
+        this.worker_requests = new Map();
+        this.worker_call_id = 0;
+
         this._create_lookup_tables( all_options.column_model, all_options.grouping_model );
         this._create_lookup_tables( all_options.column_model, all_options.grouping_model, 'original_column_settings' );
         this._calculate_columns();
@@ -283,6 +656,43 @@ export class Grid extends Object_Base {
         this.sort_column = '';
         this.sort_direction = 'asc';
 
+        // The parameters used for the last load() so reload() can repeat the request.
+        this.load_params = {};
+
+        // call_id of the newest load request, responses to older requests are dropped.
+        this.load_call_id = undefined;
+
+        // Paging state for remote mode. The total is the row count reported by the server.
+        this.page = 1;
+        this.total_count = 0;
+
+        // State of the connection, connections without states (ie: Ajax) are always open.
+        // last_update is when data last arrived from the server.
+        this.connection_state = 'open';
+        this.last_update = undefined;
+
+        this.connection = this._create_connection();
+        this._bind_connection();
+        if( this.status_indicator ) {
+            this._generate_status();
+        }
+
+        // Versions of the records keyed by unique_key value as a string, so 5 and "5" are the same record,
+        // and the conflicts waiting on the user.
+        this.versions = new Map();
+        this.conflicts = [];
+
+        // Edits waiting for the connection to come back, see offline_queue. Edits that
+        // couldn't be stored in the queue are kept in memory instead.
+        this.edit_queue = undefined;
+        this.unstored_edits = [];
+        this.replaying = false;
+        this.window_online = () => { this._replay_edits(); };
+        if( this.offline_queue ) {
+            this.edit_queue = new Offline_Queue( typeof( this.offline_queue ) == 'string' ? this.offline_queue : this.id );
+            window.addEventListener( 'online', this.window_online );
+        }
+
         // conect events.
         this.grid.addEventListener( 'click', ( event ) => { this.click.call( this, event ); } );
         this.grid.addEventListener( 'dblclick', ( event ) => { this.dblclick.call( this, event ); } );
@@ -291,14 +701,196 @@ export class Grid extends Object_Base {
         this.grid.addEventListener( 'mousedown', ( event ) => { this.mousedown.call( this, event ); } );
         this.grid.addEventListener( 'mousemove', ( event ) => { this.mousemove.call( this, event ); } );
         this.grid.addEventListener( 'mouseup', ( event ) => { this.mouseup.call( this, event ); } );
+        this.grid.addEventListener( 'scroll', ( event ) => { this.scroll.call( this, event ); } );
         this.grid.addEventListener( `${wsgrid_data}.cell_changed`, ( event ) => { this.data_changed.call( this, event ); } );
         this.grid.addEventListener( `${wsgrid_data}.row_moved`, ( event ) => { this.row_moved.call( this, event ); } );
-        window.addEventListener( 'resize', ( event ) => { this.resize.call( this, event ); } );
+
+        // kept so destroy() can remove it.
+        this.window_resize = ( event ) => { this.resize.call( this, event ); };
+        window.addEventListener( 'resize', this.window_resize );
 
         // Needed for grid resizing.
         this.grid.style.position = 'relative';
     }
 
+    /**
+     * Create the connection used to load and save data for this grid.
+     * A user supplied connection is used as is, otherwise the connection
+     * is created from connection_type and connection_options.
+     * @return {Connection}   - The connection, or undefined if there isn't a url to connect to.
+     */
+    _create_connection() {
+        if( typeof( this.connection ) == 'object' ) {
+            return this.connection;
+        }
+
+        let options = this.connection_options || {};
+        if( typeof( options.url ) == 'undefined' || options.url == '' ) {
+            return undefined;
+        }
+
+        let type = String( options.type || this.connection_type ).toLowerCase();
+        let connection_class = connection_types[ type ];
+        if( typeof( connection_class ) == 'undefined' ) {
+            throw new Error( `Grid: unknown connection type: ${type}` );
+        }
+
+        if( connection_class === Socket && typeof( options.channel ) == 'string' ) {
+            return Socket.shared( options ).channel( options.channel );
+        }
+
+        return new connection_class( options );
+    }
+
+    /**
+     * Listen for changes the server pushes through the connection.
+     */
+    _bind_connection() {
+        // callbacks bound to the connection, keyed by event, so destroy() can unbind them.
+        this.connection_listeners = {};
+
+        if( typeof( this.connection ) == 'undefined' ) {
+            return;
+        }
+
+        for( let type of [ 'insert', 'update', 'delete' ] ) {
+            this.connection_listeners[ type ] = ( payload ) => {
+                this._apply_push( type, payload );
+            };
+        }
+
+        this.connection_listeners.error = ( details ) => {
+            this._dispatch_connection_error( details );
+        };
+
+        if( typeof( this.connection.state ) == 'string' ) {
+            this.connection_state = this.connection.state;
+        }
+
+        this.connection_listeners[ 'state.changed' ] = ( details ) => {
+            this.connection_state = details.state;
+            if( this.status_indicator ) {
+                this._generate_status();
+            }
+            if( details.state == 'open' ) {
+                this._replay_edits();
+            }
+
+            let e = new Event( 'connection.state_changed', { bubbles: true } );
+            e.data = details;
+            this.grid.dispatchEvent( e );
+        };
+
+        for( let event in this.connection_listeners ) {
+            this.connection.bind( event, this.connection_listeners[ event ] );
+        }
+    }
+
+    /**
+     * Let the listeners know something went wrong with the connection, or with the
+     * changes sent or received through it.
+     * @param  {Object} details  - { code, message }
+     * @emits  {connection.error}
+     */
+    _dispatch_connection_error( details ) {
+        let e = new Event( 'connection.error', { bubbles: true } );
+        e.data = details;
+        this.grid.dispatchEvent( e );
+    }
+
+    /**
+     * Remove the grid from the page, and release its listeners and connection.
+     * The connection is closed, a channel on a shared socket only closes the
+     * socket once every grid using it has been destroyed.
+     * @return {Promise}    - Resolves once the connection is closed.
+     */
+    destroy() {
+        window.removeEventListener( 'resize', this.window_resize );
+        window.removeEventListener( 'online', this.window_online );
+
+        let closed = Promise.resolve();
+        if( typeof( this.connection ) != 'undefined' ) {
+            if( typeof( this.load_call_id ) != 'undefined' ) {
+                this.connection.cancel( this.load_call_id );
+                this.load_call_id = undefined;
+            }
+
+            for( let event in this.connection_listeners ) {
+                this.connection.unbind( event, this.connection_listeners[ event ] );
+            }
+            this.connection_listeners = {};
+
+            closed = Promise.resolve( this.connection.close() );
+            this.connection = undefined;
+        }
+
+        this.active_editor = undefined;
+
+        if( typeof( this.update_frame ) !== 'undefined' ) {
+            cancelAnimationFrame( this.update_frame );
+            this.update_frame = undefined;
+        }
+        this.update_queue = [];
+
+        if( typeof( this.data_worker ) !== 'undefined' ) {
+            this.data_worker.terminate();
+            this.data_worker = undefined;
+
+            // So promises returned by load() don't wait forever.
+            for( let request of this.worker_requests.values() ) {
+                this._resolve_waiting( request.waiting );
+            }
+            this.worker_requests.clear();
+        }
+
+        let container = document.getElementById( this.id );
+        if( container !== null ) {
+            container.innerHTML = '';
+        }
+
+        if( typeof( this.style_element ) !== 'undefined' ) {
+            this.style_element.remove();
+            this.style_element = undefined;
+        }
+
+        return closed;
+    }
+
+    /**
+     * Create or update the badge showing the state of the connection and the last update time.
+     */
+    _generate_status() {
+        let container = document.getElementById( this.id );
+        let indicator = container.querySelector( `.${wsgrid_status}` );
+
+        if( indicator === null ) {
+            indicator = document.createElement( 'div' );
+            container.append( indicator );
+        }
+
+        let status = connection_status[ this.connection_state ] || connection_status.closed;
+        let updated = '';
+        if( typeof( this.last_update ) !== 'undefined' ) {
+            updated = `<span class="${wsgrid_status}_time">Updated ${this.last_update.toLocaleTimeString()}</span>`;
+        }
+
+        indicator.className = `${wsgrid_status} ${wsgrid_status}_${status.status}`;
+        indicator.innerHTML = `<span class="${wsgrid_status}_light"></span>`
+            + `<span class="${wsgrid_status}_label">${status.label}</span>`
+            + updated;
+    }
+
+    /**
+     * Remember when data last arrived from the server.
+     */
+    _mark_updated() {
+        this.last_update = new Date();
+
+        if( this.status_indicator ) {
+            this._generate_status();
+        }
+    }
+
     /**
      * This function turns the column model inside out so we can do property lookups using the column name.
      * @param  {Object[]} column_model        - Column model used to create this grid.
@@ -380,27 +972,35 @@ export class Grid extends Object_Base {
 
     /**
      * Modify the stylesheet with some settings from the user.
-     * We're modifying the stylesheet directly because adding styles directly
-     * to the elements breaks the row selection coloring.
+     * We're using a stylesheet because adding styles directly to the elements
+     * breaks the row selection coloring.
+     *
+     * Every grid has its own style element, and its rules only apply inside the grid's
+     * container. The container is matched with :where() so the rules keep the specificity
+     * of the selector and the selection coloring still wins.
      *
      * @param {String} selector     - CSS selector
      * @param {Object} properties   - Object of key/value pairs representing properties and the values to set them to.
      */
     _modify_stylesheet_rule( selector, properties ) {
+        if( typeof( this.style_element ) == 'undefined' ) {
+            this.style_element = document.createElement( 'style' );
+            this.style_element.dataset.grid = this.id;
+            document.head.append( this.style_element );
+        }
 
-        for( let s = 0; s < document.styleSheets.length; s++ ) {
-            let rules = document.styleSheets[ s ].cssRules;
-            let ruleCount = rules.length;
-            for( let r = 0; r < ruleCount; r++ ) {
-                if( rules[ r ].selectorText == selector ) {
-                    let rule = rules[ r ];
+        this.style_rules[ selector ] = Object.assign( this.style_rules[ selector ] || {}, properties );
 
-                    for( let key in properties ) {
-                        rule.style[ key ] = properties[ key ];
-                    }
-                }
+        let css = '';
+        for( let rule in this.style_rules ) {
+            css += `:where(#${CSS.escape( this.id )}) ${rule} {`;
+            for( let key in this.style_rules[ rule ] ) {
+                css += ` ${key}: ${this.style_rules[ rule ][ key ]};`;
             }
+            css += ' }\n';
         }
+
+        this.style_element.textContent = css;
     }
 
     /**
@@ -449,9 +1049,10 @@ export class Grid extends Object_Base {
                     + '</table>';
 
         // Insert Table
-        document.getElementById( this.id ).innerHTML = html;
+        let container = document.getElementById( this.id );
+        container.innerHTML = html;
 
-        return document.querySelector( `table.${wsgrid_table}_${this.id}` );
+        return container.querySelector( `table.${wsgrid_table}` );
     }
 
     /**
@@ -754,13 +1355,21 @@ export class Grid extends Object_Base {
 
     /**
      * Fill the grid with the given data and generate a table for display.
-     * @param  {Array} data - Array of objects containing data in the form key: value
+     * @param  {Array/Object} data - Array of objects containing data in the form key: value,
+     *                               or a columnar payload: { columns: [ ... ], rows: [ [ ... ] ] }
      */
     display( data ) {
+        if( _is_columnar( data ) ) {
+            data = _decode_columnar( data );
+        }
 
         if( typeof( data ) != 'undefined' ) {
             this.data = data;
             this.metadata = [];
+            this.checked_rows.clear();
+
+            this.versions.clear();
+            this._remember_versions( data );
 
             let size = this.data.length;
 
@@ -775,1073 +1384,2896 @@ export class Grid extends Object_Base {
             }
         }
 
-        this._sort_data( '', 'asc' );
-        this.refresh();
-        let e = new Event( 'recordset.changed', { bubbles: true } );
-        this.grid.dispatchEvent( e );
+        let render = () => {
+            this.refresh();
+            this._dispatch_recordset_changed();
+        };
+
+        // In remote mode the server has already sorted the data. With the worker option set
+        // the rows are rendered when the worker replies, see _worker_settled().
+        if( this.remote ) {
+            render();
+        }
+        else if( ! this._sort_in_worker( '', 'asc', render ) ) {
+            this._sort_data( '', 'asc' );
+            render();
+        }
     }
 
     /**
-     * Generate the table rows using the internal data array
-     * @return {String}         - the row data as a string of HTML
+     * Request data from the server through the grid's connection and display it.
+     * A load that is still running when a new one starts is cancelled, and only the
+     * response to the newest request is displayed.
+     * @param  {Object} params  - Parameters sent to the server with the load request.
+     * @return {Promise}        - Resolves with the rows displayed, rejects if the request failed.
+     *                            A superseded request rejects with an Error whose code is 'cancelled'.
      */
-    _generate_rows() {
+    load( params = {} ) {
+        if( typeof( this.connection ) == 'undefined' ) {
+            return Promise.reject( new Error( "Grid: there is no connection to load data from" ) );
+        }
 
-        let row_html = '';
-        let count = this.data.length;
-        let zebra = 1;
+        this.load_params = params;
+        this._show_overlay( 'Loading...', 'loading' );
 
-        for( let i = 0; i < count; i++ ) {
+        let payload = params;
+        if( this.remote ) {
+            payload = Object.assign( {}, params, this._remote_query() );
+        }
 
-            if( this._is_selected( i ) == false ) {
-                continue;
+        if( typeof( this.load_call_id ) != 'undefined' ) {
+            this.connection.cancel( this.load_call_id );
+        }
+
+        let request = this.connection.send( {
+            type:    'load',
+            payload: payload,
+        } );
+
+        // Connections that don't support cancelling have no call_id, use a token in its place.
+        let call_id = ( typeof( request.call_id ) == 'undefined' ? {} : request.call_id );
+        this.load_call_id = call_id;
+
+        return request.then( ( response ) => {
+            if( call_id !== this.load_call_id ) {
+                let error = new Error( "Grid: load request was superseded" );
+                error.code = 'cancelled';
+                throw error;
             }
 
-            let classes = '';
-            if( zebra % 2 == 0 ) {
-                classes += ` ${wsgrid_row}_even `;
+            let rows = _response_rows( response );
+
+            if( response && typeof( response.total ) == 'number' ) {
+                this.total_count = response.total;
             }
             else {
-                classes += ` ${wsgrid_row}_odd `;
+                this.total_count = ( payload.offset || 0 ) + rows.length;
             }
-            zebra++;
 
-            // Generate the grouping headers
-            if( this.grouping.columns.length > 0 ) {
-                let group_count = this.grouping.columns.length;
-
-                let flag_new_group = false;
-                for( let g = 0; g < group_count; g++ ) {
-                    let column = this.grouping.columns[ g ];
-                    if( i == 0
-                        || this.data[ i ][ column ] !== this.data[ i - 1 ][ column ]
-                        || flag_new_group
-                    ) {
-                        flag_new_group = true;
-                        if( typeof( this.grouping.header ) !== 'undefined' ) {
-                            if( typeof( this.grouping.header[ column ] ) == 'function' ) {
-                                row_html += `<tr class="${wsgrid_row}_group_header ${wsgrid_row}_group_header_${column}">`
-                                    + `<td class="${wsgrid_column}_group_header ${wsgrid_column}_group_header_${column}">`
-                                    + this.grouping.header[ column ]( column, this.data[ i ][ column ], this.data[ i ] )
-                                    + '</td></tr>';
-                            }
-                            else {
-                                row_html += `<tr class="${wsgrid_row}_group_header ${wsgrid_row}_group_header_${column}">`
-                                    + `<td class="${wsgrid_column}_group_header ${wsgrid_column}_group_header_${column}">`
-                                    + this.grouping.header[ column ]
-                                    + '</td></tr>';
-                            }
-                        }
-                    }
+            if( typeof( this.events.data_loaded ) == 'function' ) {
+                let user_rows = this.events.data_loaded.call( this, rows );
+                if( Array.isArray( user_rows ) ) {
+                    rows = user_rows;
                 }
             }
 
-            // Generate regular rows
-            row_html += this._generate_row( i, this.data[ i ], '', classes );
-
-            // Generate the grouping footer
-            if( this.grouping.columns.length > 0 ) {
-                let group_count = this.grouping.columns.length;
-
-                let flag_new_group = false;
-                for( let g = 0; g < group_count; g++ ) {
-                    let column = this.grouping.columns[ g ];
-                    if( i == 0
-                        || this.data[ i ][ column ] !== this.data[ i - 1 ][ column ]
-                        || flag_new_group
-                    ) {
-                        flag_new_group = true;
-                        if( typeof( this.grouping.footer ) !== 'undefined' ) {
-                            if( typeof( this.grouping.footer[ column ] ) == 'function' ) {
-                                row_html += `<tr class="${wsgrid_row}_group_footer ${wsgrid_row}_group_footer_${column}">`
-                                   + `<td class="${wsgrid_column}_group_footer ${wsgrid_column}_group_footer_${column}">`
-                                   + this.grouping.footer[ column ]( column, this.data[ i ][ column ], this.data[ i ] )
-                                   + '</td></tr>';
-                            }
-                            else {
-                                row_html += `<tr class="${wsgrid_row}_group_footer ${wsgrid_row}_group_footer_${column}">`
-                                   + `<td class="${wsgrid_column}_group_footer ${wsgrid_column}_group_footer_${column}">`
-                                   + this.grouping.footer[ column ]
-                                   + '</td></tr>';
-                            }
-                        }
-                    }
-                }
+            this._hide_overlay();
+            this.display( rows );
+            this._mark_updated();
+
+            if( this.remote && this.page_size > 0 ) {
+                this._generate_pager();
             }
-        }
 
-        return row_html;
+            // Cleared once the reply is displayed, so an error displaying it is still shown.
+            this.load_call_id = undefined;
+
+            return this._worker_settled().then( () => {
+                return this._reapply_edits();
+            } ).then( () => {
+                this._replay_edits();
+                return rows;
+            } );
+        } ).catch( ( error ) => {
+            // A newer request owns the overlay now.
+            if( call_id === this.load_call_id ) {
+                this.load_call_id = undefined;
+                this._show_overlay( error.message, 'error' );
+            }
+            throw error;
+        } );
     }
 
     /**
-     * Generate the HTML for the given row_id.
-     * @param  {Number} row_id         - Id of the record to generate HTML for.
-     * @param  {Object} data           - All key, value pairs to generate HTML for.
-     * @param  {String} row_classes    - List of classes to add to the row.
-     * @param  {String} column_classes - List of classes to add to each column
-     * @param  {Boolean} is_header     - Is this row a header row? Default: false.
-     * @return {String}                - All the HTML for this row in a string.
+     * Build the part of the load request that describes the current state of the grid,
+     * used in remote mode so the server can sort, filter and page the data.
+     * @return {Object}    - offset, limit, sort, and filters for the request.
      */
-    _generate_row( row_id, data, row_classes = '', column_classes = '', is_header = false ) {
-        let user_classes = [];
-        if( row_id !== '' && typeof( this.events.row_classes ) == 'function' ) {
-            user_classes = user_classes.concat( this.events.row_classes( row_id, data ) );
+    _remote_query() {
+        let sort = [];
+
+        // Grouped columns are always sorted first so the groups stay together.
+        for( let i = 0; i < this.grouping.columns.length; i++ ) {
+            let column = this.grouping.columns[ i ];
+            if( column == this.sort_column ) {
+                this.grouping.sort_order[ column ] = this.sort_direction;
+            }
+
+            sort.push( {
+                column:    column,
+                direction: String( this.grouping.sort_order[ column ] || 'asc' ).toLowerCase(),
+            } );
         }
-        else if( row_id !== '' && typeof( this.events.row_classes ) == 'array' ) {
-            user_classes = user_classes.concat( this.events.row_classes );
+
+        if( this.sort_column != '' && ! this.grouping.columns.includes( this.sort_column ) ) {
+            sort.push( {
+                column:    this.sort_column,
+                direction: this.sort_direction,
+            } );
         }
 
-        /*********************************************************************************
-         * Generate Row
-         *********************************************************************************/
-        let row_html = `<tr class="${wsgrid_row} ${wsgrid_row}_${row_id} ${row_classes} ${user_classes.join( ' ' )}"`
-                    + ( row_id == '' ? '' : `data-rowid="${row_id}"` )
-                    //+ ` style="min-width:${this.min_row_width}px;`
-                    + ( this.overflow ? '' : `max-width:${this.min_row_width};` )
-                    + `">`;
+        return {
+            offset:  ( this.page_size > 0 ? ( this.page - 1 ) * this.page_size : 0 ),
+            limit:   this.page_size,
+            sort:    sort,
+            filters: ( this.is_filtered ? this.filters : [] ),
+        };
+    }
 
-        let column_type = 'td';
-        if( is_header ) {
-            column_type = 'th';
+    /**
+     * Number of pages of data on the server, based on the last load in remote mode.
+     * @return {Number}    - page count, always at least 1.
+     */
+    page_count() {
+        if( this.page_size <= 0 ) {
+            return 1;
         }
 
-        if( this.row_reorder ) {
-            row_html += `<${column_type} class="${wsgrid_column}_row_move_target frozen_left" style="position:sticky;left:0px;z-index:5;width:5px;" data-rowid="${row_id}"></${column_type}>`;
-        }
+        return Math.max( 1, Math.ceil( this.total_count / this.page_size ) );
+    }
 
-        if( this.multi_select ) {
-            row_html += `<${column_type} class="${wsgrid_multiselect}_cell ${column_classes}" style="position:sticky;left:0;z-index:5;">`
-                    + this._generate_multiselect( ( is_header ? 'header' : row_id ) ) + `</${column_type}>`;
-        }
+    /**
+     * Change the page displayed in remote mode and load it from the server.
+     * @param  {Number} page   - Page number to show, starting at 1.
+     * @return {Promise}       - Resolves with the rows displayed, rejects if the request failed.
+     */
+    set_page( page ) {
+        page = Math.min( Math.max( 1, Number( page ) ), this.page_count() );
+        this.page = page;
 
-        for( let column = 0; column < this.columns.order.length; column++ ) {
-            row_html += this._generate_cell( row_id, column, data, column_type, column_classes, is_header );
+        return this.reload();
+    }
+
+    /**
+     * Generate the paging controls shown below the grid in remote mode.
+     */
+    _generate_pager() {
+        let container = document.getElementById( this.id );
+        let pager = container.querySelector( `.${wsgrid_pager}` );
+
+        if( pager === null ) {
+            pager = document.createElement( 'div' );
+            pager.className = wsgrid_pager;
+            pager.addEventListener( 'click', ( event ) => {
+                let button = event.target.closest( 'button' );
+                if( button !== null && ! button.disabled ) {
+                    this.set_page( button.dataset.page ).catch( () => {} );
+                }
+            } );
+            container.append( pager );
         }
-        row_html += '</tr>';
 
-        return row_html;
+        let page_count = this.page_count();
+        let first = ( this.total_count == 0 ? 0 : ( ( this.page - 1 ) * this.page_size ) + 1 );
+        let last = Math.min( this.page * this.page_size, this.total_count );
+
+        let button = ( page, icon, disabled ) => {
+            return `<button class="${wsgrid_pager}_button" data-page="${page}" ${disabled ? 'disabled' : ''}>`
+                + `<i class="fa fa-${icon}"></i></button>`;
+        };
+
+        pager.innerHTML = button( 1, 'angle-double-left', this.page <= 1 )
+            + button( this.page - 1, 'angle-left', this.page <= 1 )
+            + `<span class="${wsgrid_pager}_info">Page ${this.page} of ${page_count}</span>`
+            + button( this.page + 1, 'angle-right', this.page >= page_count )
+            + button( page_count, 'angle-double-right', this.page >= page_count )
+            + `<span class="${wsgrid_pager}_count">Rows ${first} - ${last} of ${this.total_count}</span>`;
     }
 
     /**
-     * Generate the contents of the cell at row_id, column_id.
-     * @param  {Number}  row_id              - Row ID of the cell we're generating.
-     * @param  {Number}  column_id           - Column ID of the cell we're generating.
-     * @param  {Object}  data                - data to be displayed in the cell.
-     * @param  {String}  column_type         - Is this a header or body cell? th or td
-     * @param  {String}  [column_classes=''] - A list of classes to add to the cell.
-     * @param  {Boolean} [is_header=false]   - is this a header cell?
-     * @return {String}                      - HTML string containing the contents of the cell.
+     * Load the data again using the parameters from the last load().
+     * @return {Promise}        - Resolves with the rows displayed, rejects if the request failed.
      */
-    _generate_cell( row_id, column_id, data, column_type, column_classes = '', is_header = false ) {
-        let column_name = this.columns.order[ column_id ];
+    reload() {
+        return this.load( this.load_params );
+    }
 
-        let cell_html = '';
-        let value = '';
+    /**
+     * Apply a change pushed from the server to the grid's data.
+     * @param  {String} type     - 'insert', 'update', or 'delete'.
+     * @param  {Object} payload  - Object containing the rows that changed: { rows: [ ... ] }
+     * @emits  {connection.error}  - emits event with the code 'invalid_push' when the payload has no rows,
+     *                               or an update or delete can't be applied because there isn't a unique_key.
+     */
+    _apply_push( type, payload ) {
+        let rows;
+        try{
+            rows = _response_rows( payload );
+        }
+        catch( error ) {
+            this._dispatch_connection_error( {
+                code:    'invalid_push',
+                message: `can't apply a pushed ${type}: ${error.message}`,
+            } );
+            return;
+        }
 
-        let sort_styling = '';
-        let move_handle = '';
-        let resize_handle = '';
+        if( type != 'insert' && this.unique_key == '' ) {
+            this._dispatch_connection_error( {
+                code:    'invalid_push',
+                message: `can't apply a pushed ${type} without a unique_key`,
+            } );
+            return;
+        }
 
-        if( is_header ) {
-            let decoration_side = 'left';
-            if( column_name == this.sort_column ) {
-                if( this.columns.align[ column_name ] == 'left' ) {
-                    decoration_side = 'right';
-                }
-                sort_styling = `<span class="${wsgrid_header}_sort ${wsgrid_header}_column" style="${decoration_side}:5px"><i class="fa fa-sort-${this.sort_direction} fa-sm ${wsgrid_header}_column"></i></span>`;
-            }
+        if( this.throttle_updates && ! this.applying_updates ) {
+            this._queue_update( type, true, this.unique_key, rows );
+            return;
+        }
 
-            // if this isn't the first column in a multi_select then...
-            if( this.multi_select && column_id == 0 ) {
-                move_handle = '';
-                resize_handle = '';
-            }
-            else {
-                // if the column can be re-ordered and the column isn't frozen, include the move handler.
-                if( this.column_reorder
-                    && ( ! this.columns.frozen_right[ column_name ] && ! this.columns.frozen_left[ column_name ] ) ) {
-                    move_handle = `<span class='${wsgrid_header}_column_move_target' data-column='${column_name}'></span>`;
-                }
+        // The server's changes aren't part of the user's transaction.
+        let transaction = this.transaction;
+        this.transaction = undefined;
 
-                if( this.column_resize && ! this.columns.locked[ column_name ] ) {
-                    resize_handle = `<span class="${wsgrid_header}_column_resize" data-column="${column_name}"></span>`;
-                }
+        this._preserve_view( () => {
+            switch( type ) {
+                case 'insert':
+                    this.append_rows( rows );
+                    break;
+                case 'update':
+                    if( this.version_field != '' ) {
+                        rows = this._check_conflicts( rows );
+                    }
+                    this.update_records( this.unique_key, rows );
+                    break;
+                case 'delete':
+                    this.delete_matches( rows.map( ( row ) => {
+                        return {
+                            key:   this.unique_key,
+                            value: ( typeof( row ) == 'object' ? row[ this.unique_key ] : row ),
+                        };
+                    } ) );
+                    break;
             }
+        } );
 
-            value = this.columns.label[ column_name ];
+        this.transaction = transaction;
+        this._mark_updated();
+    }
+
+    /**
+     * Remember the versions of the given records.
+     * @param  {Object[]} records  - Records containing the unique_key and version_field.
+     */
+    _remember_versions( records ) {
+        if( this.version_field == '' || this.unique_key == '' ) {
+            return;
         }
-        else {
 
-            // if there is data to display figure out how to display it.
-            if( typeof( data[ column_name ] ) !== 'undefined' ) {
+        for( let record of records ) {
+            if( record && typeof( record[ this.version_field ] ) !== 'undefined' ) {
+                this.versions.set( String( record[ this.unique_key ] ), record[ this.version_field ] );
+            }
+        }
+    }
 
-                if( this.columns.type[ column_name ] == 'dropdown' ) {
-                    let val = data[ column_name ];
-                    value = this.columns.options[ column_name ][ val ];
-                }
-                else if( typeof( this.columns.format[ column_name ] ) == 'string' ) {
-                    let formatType = this.columns.format[ column_name ];
-                    value = this[ `format_${formatType.toLowerCase()}` ]( data[ column_name ] );
-                }
-                else if( typeof( this.columns.format[ column_name ] ) == 'function' ) {
-                    value = this.columns.format[ column_name ]( data[ column_name ], data );
-                }
-                else {
-                    value = data[ column_name ];
-                }
+    /**
+     * Sort the updates pushed from the server into the ones that can be applied and the
+     * ones that conflict with the user's unsaved changes. Updates that aren't newer than
+     * the version we have are dropped.
+     * @param  {Object[]} rows   - Records pushed from the server.
+     * @return {Object[]}        - Records that can be applied right away.
+     */
+    _check_conflicts( rows ) {
+        let key = this.unique_key;
+        let apply = [];
+
+        for( let row of rows ) {
+            let version = row[ this.version_field ];
+            let known = this.versions.get( String( row[ key ] ) );
+
+            if( typeof( version ) !== 'undefined' && typeof( known ) !== 'undefined' && ! _is_newer_version( version, known ) ) {
+                continue;
             }
-            // a column can display data even if it doesn't have data from the backend.
-            else if( typeof( this.columns.format[ column_name ] ) !== 'undefined' ) {
-                // display data from a user function
-                if( typeof( this.columns.format[ column_name ] ) == 'function' ) {
-                    value = this.columns.format[ column_name ]( data[ column_name ], data );
-                }
-                // display data from a built-in function
-                else {
-                    let formatType = this.columns.format[ column_name ];
-                    value = this[ `format_${formatType.toLowerCase()}` ]( data[ column_name ] );
+
+            // a newer update for a record that is already waiting on the user.
+            let waiting = this.conflicts.find( ( conflict ) => {
+                return conflict.key == row[ key ];
+            } );
+            if( typeof( waiting ) !== 'undefined' ) {
+                Object.assign( waiting.remote, row );
+                waiting.version = version;
+                for( let column in waiting.columns ) {
+                    if( row.hasOwnProperty( column ) ) {
+                        waiting.columns[ column ].theirs = row[ column ];
+                    }
                 }
+                this._show_conflict();
+                continue;
             }
-        }
 
-        /*********************************************************************************
-         * Generate Columns
-         *********************************************************************************/
-        let user_classes = [];
+            let row_id = this._find_record( row[ key ] );
+            let columns = ( row_id == -1 ? {} : this._conflicting_cells( row_id, row ) );
 
-        if( row_id !== '' && typeof( this.events.cell_classes ) == 'function' ) {
-            user_classes = user_classes.concat( this.events.cell_classes( row_id, column_name, data ) );
-        }
-        else if( row_id !== '' && typeof( this.events.cell_classes ) == 'array' ) {
-            user_classes = user_classes.concat( this.events.cell_classes );
-        }
+            if( Object.keys( columns ).length == 0 ) {
+                this._remember_versions( [ row ] );
+                apply.push( row );
+                continue;
+            }
 
-        //FIXME: rewrite for array instead of string.
-        if( row_id !== '' && typeof( this.columns.classes[ column_name ] ) == 'function' ) {
-            user_classes.push( this.columns.classes[ column_name ]( row_id, value, data ) );
-        }
-        else {
-            user_classes.push( this.columns.classes[ column_name ] );
+            this._raise_conflict( {
+                key:     row[ key ],
+                row:     row_id,
+                version: version,
+                remote:  Object.assign( {}, row ),
+                columns: columns,
+            } );
         }
 
-        let display = '';
-        if( ! this.columns.visible[ column_name ] ) {
-            display = 'display: none;';
-        }
+        return apply;
+    }
 
-        let frozen_style = this._generate_frozen_styles( column_name );
+    /**
+     * Find the cells of a record that an update from the server would overwrite
+     * while the user has changed them, or is editing them.
+     * @param  {Number} row_id  - Row number of the record.
+     * @param  {Object} row     - The record pushed from the server.
+     * @return {Object}         - { column: { mine, theirs, base } } for each conflicting cell.
+     */
+    _conflicting_cells( row_id, row ) {
+        let columns = {};
 
-        let user_styles = this._generate_user_styles( row_id, column_name, data );
+        for( let column of this.columns.order ) {
+            if( ! row.hasOwnProperty( column ) || column == this.unique_key ) {
+                continue;
+            }
 
-        let tooltip = '';
-        if( this.columns.tooltip[ column_name ] !== ''
-            && is_header
-        ) {
-            tooltip = ` title="${this.columns.tooltip[ column_name ]}"`;
+            let metadata = this.metadata[ row_id ][ column ];
+            let mine = this.data[ row_id ][ column ];
+
+            if( this._is_editing( row_id, column ) ) {
+                mine = this.active_editor.firstChild.value;
+            }
+            else if( ! metadata.changed ) {
+                continue;
+            }
+
+            if( row[ column ] != mine ) {
+                columns[ column ] = {
+                    mine:   mine,
+                    theirs: row[ column ],
+                    base:   ( metadata.changed ? metadata.old_value : this.data[ row_id ][ column ] ),
+                };
+            }
         }
 
-        cell_html += `<${column_type} class="${wsgrid_column} ${wsgrid_cell} ${column_classes} ${wsgrid_column}_${column_name}`
-            + ( this.columns.frozen_left[ column_name ] ? ' frozen_left' : '' )
-            + ( this.columns.frozen_right[ column_name ] ? ' frozen_right' : '' )
-            + ( is_header ? '' : ` ${user_classes.join( ' ' )}"` )
-            + ` id="${wsgrid_column}_${row_id}_${column_name}"`
-            + tooltip
-            + ` data-rowid='${row_id}' data-column='${column_name}' data-columnid="${column_id}"`
-            + ` style="${display} ${frozen_style} width:${this.columns.width[ column_name ]}px;${user_styles};">`
-            + move_handle + this._generate_cell_content( column_name, value, is_header ) + sort_styling + resize_handle;
-        +`</${column_type}>`;
+        return columns;
+    }
 
-        return cell_html;
+    /**
+     * Is the inline editor open on the given cell?
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @return {Boolean}
+     */
+    _is_editing( row_id, column_name ) {
+        return typeof( this.active_editor ) !== 'undefined'
+            && this.active_editor.dataset.rowid == row_id
+            && this.active_editor.dataset.column == column_name;
     }
 
     /**
-     * Generate the contents of the cell.
-     * @param  {String} column_name  - Name of the column this cell belongs in.
-     * @param  {String} value        - Value after formatting to display in the grid cell.
-     * @param  {boolean} is_header   - Is this a header cell?
-     * @return {String}              - String of HTML for display in a grid cell.
+     * Hold a conflicting update back and let the user, or the conflict event handler, resolve it.
+     * @param  {Object} conflict   - { key, row, version, remote, columns }
+     * @emits  {conflict}          - emits event with the conflict, cancel it to skip the built in dialog.
      */
-    _generate_cell_content( column_name, value, is_header = false ) {
-        let header_class = '';
-        if( is_header ) {
-            header_class = `${wsgrid_header}_column`;
-        }
-        let alignment = this.columns.align[ column_name ];
-        let html = `<div class="${wsgrid_cell}_div_position ${header_class}">`
-             + `<div class="${wsgrid_cell}_div ${header_class}" style="text-align:${alignment};">${value}</div>`
-             + `</div>`;
+    _raise_conflict( conflict ) {
+        this.conflicts.push( conflict );
 
-        return html;
+        let e = new Event( 'conflict', { bubbles: true, cancelable: true } );
+        e.data = conflict;
+        conflict.custom = ! this.grid.dispatchEvent( e );
+
+        this._show_conflict();
     }
 
     /**
-     * Set a new column width, update the column calculations, and recreat the table.
-     * @param {String} column_name   - Name of the column to update the width for
-     * @param {Number} width         - The new width of the column
-     * @emits {row.resized}          - event triggered after a row has been resized
-     *                                 contains the name of the column being resized.
+     * Settle a conflict between the user's changes and an update from the server.
+     * @param  {Mixed}         key         - unique_key value of the record.
+     * @param  {String/Object} resolution  - 'mine' keeps the user's values, 'theirs' takes the server's,
+     *                                       or an object of { column: 'mine' or 'theirs' } to choose per cell.
+     * @return {Boolean}                   - Was there a conflict to resolve?
      */
-    set_column_width( column_name, width ) {
-        // set minimum width so we can still resize it
-        // and the column doesn't completely disappear.
-        if( width < 2 ) {
-            width = 2;
+    resolve_conflict( key, resolution ) {
+        let index = this.conflicts.findIndex( ( conflict ) => {
+            return conflict.key == key;
+        } );
+        if( index == -1 ) {
+            return false;
         }
 
-        this.columns.width[ column_name ] = width;
-        this._calculate_columns( true );
-        let e = new Event( 'row.resized', { bubbles: true } );
-        e.data = {
-            column: column_name,
-        };
-        this.grid.dispatchEvent( e );
+        let conflict = this.conflicts.splice( index, 1 )[ 0 ];
+        let row_id = this._find_record( conflict.key );
 
-        this.refresh();
+        if( row_id != -1 ) {
+            let update = Object.assign( {}, conflict.remote );
+
+            for( let column in conflict.columns ) {
+                let choice = ( typeof( resolution ) == 'object' ? resolution[ column ] : resolution );
+                let metadata = this.metadata[ row_id ][ column ];
+
+                if( choice == 'theirs' ) {
+                    metadata.changed = false;
+                    metadata.old_value = undefined;
+                    if( this._is_editing( row_id, column ) ) {
+                        this.active_editor.firstChild.value = conflict.columns[ column ].theirs;
+                    }
+                }
+                else {
+                    // the user's change is now based on the server's value.
+                    delete update[ column ];
+                    if( metadata.changed ) {
+                        metadata.old_value = conflict.columns[ column ].theirs;
+                    }
+                }
+            }
+
+            this._preserve_view( () => {
+                this.update_records( this.unique_key, [ update ] );
+            } );
+        }
+
+        this._remember_versions( [ conflict.remote ] );
+        this._show_conflict();
+
+        return true;
     }
 
     /**
-     * Move the column column_name before next_column.
-     * If no column name is given or it is undefined places the column at the end of the grid.
-     *
-     * @param {String} column_name    - Column to move
-     * @param {String} next_element   - Column to move in front of
-     * @emits {column.moved} emits event when a column's position is changed.
+     * Show the dialog for the first conflict that isn't handled by the user's code,
+     * or remove the dialog when there aren't any left.
      */
-    set_column_position( column_name, next_element ) {
-        if( this.columns.frozen_left[ next_element ]
-            || this.columns.frozen_right[ next_element ]
-        ) {
+    _show_conflict() {
+        let container = document.getElementById( this.id );
+        let dialog = container.querySelector( `.${wsgrid_conflict}` );
+        let conflict = this.conflicts.find( ( waiting ) => {
+            return ! waiting.custom;
+        } );
+
+        if( typeof( conflict ) == 'undefined' ) {
+            if( dialog !== null ) {
+                dialog.parentElement.removeChild( dialog );
+            }
             return;
         }
 
-        this.columns.order.splice( this.columns.order.indexOf( column_name ), 1 );
-        this.columns.order.splice( this.columns.order.indexOf( next_element ), 0, column_name );
+        if( dialog === null ) {
+            dialog = document.createElement( 'div' );
+            dialog.className = wsgrid_conflict;
+            dialog.addEventListener( 'click', ( event ) => {
+                let button = event.target.closest( 'button' );
+                if( button === null ) {
+                    return;
+                }
 
-        let e = new Event( 'column.moved', { bubbles: true } );
-        e.data = {
-            column: column_name,
-            next:   next_element,
-        };
-        this.grid.dispatchEvent( e );
+                let resolution = button.dataset.resolution;
+                if( resolution == 'merge' ) {
+                    resolution = {};
+                    let choices = dialog.querySelectorAll( 'input[type="radio"]:checked' );
+                    for( let i = 0; i < choices.length; i++ ) {
+                        resolution[ choices[ i ].dataset.column ] = choices[ i ].value;
+                    }
+                }
+                this.resolve_conflict( dialog.dataset.key, resolution );
+            } );
+            container.append( dialog );
 
-        this.refresh();
+            if( window.getComputedStyle( container ).position == 'static' ) {
+                container.style.position = 'relative';
+            }
+        }
+
+        let cells = '';
+        for( let column in conflict.columns ) {
+            let values = conflict.columns[ column ];
+            let choice = ( value, label, checked ) => {
+                return `<td><label><input type="radio" name="${wsgrid_conflict}_${column}" data-column="${column}" value="${label}"`
+                    + ( checked ? ' checked' : '' )
+                    + `> ${convert_html_entities( String( value ) )}</label></td>`;
+            };
+
+            cells += `<tr><td>${convert_html_entities( String( this.columns.label[ column ] || column ) )}</td>`
+                + choice( values.mine, 'mine', true )
+                + choice( values.theirs, 'theirs', false )
+                + '</tr>';
+        }
+
+        dialog.dataset.key = conflict.key;
+        dialog.innerHTML = `<div class="${wsgrid_conflict}_dialog">`
+            + `<div class="${wsgrid_conflict}_title">This record was changed by someone else</div>`
+            + `<table class="${wsgrid_conflict}_cells"><tr><th></th><th>Mine</th><th>Theirs</th></tr>${cells}</table>`
+            + `<div class="${wsgrid_conflict}_buttons">`
+            + '<button data-resolution="mine">Keep mine</button>'
+            + '<button data-resolution="theirs">Take theirs</button>'
+            + '<button data-resolution="merge">Merge</button>'
+            + '</div></div>';
     }
 
     /**
-     * Move the row row_id after previous_row.
-     * If no previous_row is given or it is undefined places the row at the end of the grid.
-     *
-     * @param {Number} row_id         - row to move
-     * @param {Number} previous_row   - place row_id after previous_row, if it exists or at the end of the grid.
-     * @emits {wsgrid__data.row_moved} emits event when a row's position is changed.
+     * Run a function that regenerates the rows, keeping the selection, the open editor,
+     * and the scroll position the user had before the rows changed. The checked rows are
+     * kept in checked_rows. Rows are matched up using the unique_key column, because their
+     * row ids can change, without a unique_key the row ids must stay the same.
+     * @param  {Function} callback  - Code that changes the data and regenerates the rows.
      */
-    set_row_position( row_id, previous_row ) {
-        let row_data = this.data[ row_id ];
-        this.data.splice( row_id, 1 );
-        this.data.splice( previous_row, 0, row_data );
-
-        let e = new Event( 'row.moved', { bubbles: true } );
-        e.data = {
-            row:       row_id,
-            previous:  previous_row,
+    _preserve_view( callback ) {
+        let key = this.unique_key;
+        let key_of = ( row_id ) => {
+            if( ! this.data[ row_id ] ) {
+                return undefined;
+            }
+            return ( key != '' ? this.data[ row_id ][ key ] : Number( row_id ) );
         };
-        this.grid.dispatchEvent( e );
 
-        this.refresh();
+        let scroll_top = this.grid.scrollTop;
+        let scroll_left = this.grid.scrollLeft;
+
+        let selected = [];
+        let selected_cells = this.grid.querySelectorAll( `td.${wsgrid_cell}.selected` );
+        for( let i = 0; i < selected_cells.length; i++ ) {
+            selected.push( {
+                key:    key_of( selected_cells[ i ].dataset.rowid ),
+                column: selected_cells[ i ].dataset.column,
+            } );
+        }
+
+        let editor = this.active_editor;
+        let editor_key = undefined;
+        if( typeof( editor ) !== 'undefined' ) {
+            editor_key = key_of( editor.dataset.rowid );
+            this.editor_suspended = true;
+        }
+
+        try{
+            callback();
+        }
+        finally {
+            this.editor_suspended = false;
+        }
+
+        // Find where the records ended up after the change.
+        let row_ids = new Map();
+        for( let i = 0; i < this.data.length; i++ ) {
+            row_ids.set( ( key != '' ? this.data[ i ][ key ] : i ), i );
+        }
+
+        for( let cell of selected ) {
+            let target = this.grid.querySelector( `.${wsgrid_row}_${row_ids.get( cell.key )} td.${wsgrid_column}_${cell.column}` );
+            if( ! row_ids.has( cell.key ) || target === null ) {
+                continue;
+            }
+
+            target.classList.add( 'selected' );
+            target.closest( 'tr' ).classList.add( 'selected_row' );
+        }
+
+        // Put the open editor back in place of the regenerated cell.
+        if( typeof( editor ) !== 'undefined' && ! this.grid.contains( editor ) ) {
+            let row_id = row_ids.get( editor_key );
+            let target = this.grid.querySelector( `.${wsgrid_row}_${row_id} td.${wsgrid_column}_${editor.dataset.column}` );
+
+            if( row_ids.has( editor_key ) && target !== null ) {
+                editor.dataset.rowid = row_id;
+                target.parentElement.replaceChild( editor, target );
+                editor.firstChild.focus();
+            }
+            else {
+                // The record being edited was removed.
+                this.active_editor = undefined;
+            }
+        }
+
+        this.grid.scrollTop = scroll_top;
+        this.grid.scrollLeft = scroll_left;
     }
 
     /**
-     * Event, checking the checkbox in the column header, (un)checks all the checkboxes
-     * @param  {Boolean} state    - The state to set the checkboxes to
+     * Show a message over the top of the grid, while loading or after an error.
+     * @param  {String} message  - Text to show the user.
+     * @param  {String} type     - 'loading' or 'error', used for styling the overlay.
      */
-    _multiselect_header_checked( state ) {
-        let checkboxes = this.grid.querySelectorAll( `input[class^="${wsgrid_multiselect}_id"]` );
+    _show_overlay( message, type ) {
+        let container = document.getElementById( this.id );
+        let overlay = container.querySelector( `.${wsgrid_overlay}` );
+
+        if( overlay === null ) {
+            overlay = document.createElement( 'div' );
+            overlay.addEventListener( 'click', () => {
+                // let the user dismiss errors, but not the loading message.
+                if( overlay.classList.contains( `${wsgrid_overlay}_error` ) ) {
+                    this._hide_overlay();
+                }
+            } );
+            container.append( overlay );
 
-        for( let i = 0; i < checkboxes.length; i++ ) {
-            checkboxes[ i ].checked = state;
-            checkboxes[ i ].parentElement.classList.toggle( `${wsgrid_row}_selected`, state );
+            // the overlay is positioned relative to the grid's container.
+            if( window.getComputedStyle( container ).position == 'static' ) {
+                container.style.position = 'relative';
+            }
         }
+
+        overlay.className = `${wsgrid_overlay} ${wsgrid_overlay}_${type}`;
+        overlay.innerHTML = `<div class="${wsgrid_overlay}_message">${convert_html_entities( String( message ) )}</div>`;
     }
 
     /**
-     * Using the column model properties create the column headers
-     * @return {String}               - HTML string of all <th> element in the row.
+     * Remove the loading/error message from the grid.
      */
-    _generate_column_headers() {
-        let column_name = '';
+    _hide_overlay() {
+        let overlay = document.getElementById( this.id ).querySelector( `.${wsgrid_overlay}` );
 
-        return this._generate_row(
-            '',
-            {},
-            '',
-            `${wsgrid_header}_column ${wsgrid_column}_${column_name}`,
-            /*is_header=*/true
-        );
+        if( overlay !== null ) {
+            overlay.parentElement.removeChild( overlay );
+        }
     }
 
     /**
-     * Generate the styles used for this column based on if the column is frozen or not.
-     * @param  {String} column_name   - Name of the column we're generating styles for.
-     * @return {String}               - CSS styles in a string for use inline on the td elemement.
+     * Generate the table rows using the internal data array
+     * With virtual_scroll on, only the rows in and around the viewport are generated.
+     * @return {Object[]}       - { key, html } for each row, the key identifies the record across renders.
      */
-    _generate_frozen_styles( column_name ) {
-        let frozen_style = '';
-        let fixed_position = 0;
-        let frozen_count = 0;
-        let col_count = 1;
-        let fix_columns = 0;
+    _generate_rows() {
+        this.row_list = this._build_row_list();
 
-        if( this.columns.frozen_left[ column_name ] ) {
+        if( this.virtual_scroll ) {
+            return this._generate_visible_rows();
+        }
 
-            let keys = Object.keys( this.columns.frozen_left );
-            for( let key of keys ) {
-                if( this.columns.frozen_left[ key ] ) {
-                    frozen_count++;
-                }
-            }
+        let rows = [];
+        for( let i = 0; i < this.row_list.length; i++ ) {
+            rows.push( this._generate_list_row( this.row_list[ i ] ) );
+        }
 
-            if( this.row_reorder ) {
-                fixed_position += 5 + 7;
-            }
+        return rows;
+    }
 
-            if( this.multi_select ) {
-                fixed_position += 20 + 7;
+    /**
+     * Put the rows in the order they are displayed: the records that pass the filters,
+     * with the grouping headers before them and the grouping footers after them.
+     * @return {Object[]}   - { type: 'row', row_id, classes } for each record, and
+     *                        { type: 'group_header' or 'group_footer', row_id, column } for the grouping rows.
+     */
+    _build_row_list() {
+        let rows = [];
+        let count = this.data.length;
+        let zebra = 1;
+
+        for( let i = 0; i < count; i++ ) {
+
+            if( this._is_selected( i ) == false ) {
+                continue;
             }
 
-            for( let i = 0; i < this.columns.order.length; i++ ) {
+            let classes = '';
+            if( zebra % 2 == 0 ) {
+                classes += ` ${wsgrid_row}_even `;
+            }
+            else {
+                classes += ` ${wsgrid_row}_odd `;
+            }
+            zebra++;
 
-                let current_column = this.columns.order[ i ];
-                if( current_column == column_name ) {
-                    break;
+            // Find the grouping columns where this record starts a new group.
+            let groups = [];
+            let flag_new_group = false;
+            for( let g = 0; g < this.grouping.columns.length; g++ ) {
+                let column = this.grouping.columns[ g ];
+                if( i == 0
+                    || this.data[ i ][ column ] !== this.data[ i - 1 ][ column ]
+                    || flag_new_group
+                ) {
+                    flag_new_group = true;
+                    groups.push( column );
                 }
-                else if( this.columns.visible[ current_column ] ) {
-                    col_count++;
-                    fixed_position += this.columns.width[ current_column ];
-                    fix_columns++;
+            }
+
+            if( typeof( this.grouping.header ) !== 'undefined' ) {
+                for( let column of groups ) {
+                    rows.push( { type: 'group_header', row_id: i, column: column } );
                 }
             }
 
-            fixed_position += ( fix_columns * 6 ) + fix_columns;
+            rows.push( { type: 'row', row_id: i, classes: classes } );
 
-            let border = '';
-            if( col_count == frozen_count ) {
-                border = 'border-right: 3px solid black;';
+            if( typeof( this.grouping.footer ) !== 'undefined' ) {
+                for( let column of groups ) {
+                    rows.push( { type: 'group_footer', row_id: i, column: column } );
+                }
             }
+        }
 
-            frozen_style = `position:sticky;left:${fixed_position}px;z-index:5;${border}`;
+        return rows;
+    }
+
+    /**
+     * Generate the HTML for one of the rows from _build_row_list().
+     * Records are keyed by their unique_key value, or the record itself without one.
+     * @param  {Object} entry   - { type, row_id, classes, column }
+     * @return {Object}         - { key, html } where html is the <tr> element.
+     */
+    _generate_list_row( entry ) {
+        let record = this.data[ entry.row_id ];
 
+        if( entry.type == 'row' ) {
+            return {
+                key:  ( this.unique_key != '' ? record[ this.unique_key ] : record ),
+                html: this._generate_row( entry.row_id, record, '', entry.classes ),
+            };
         }
-        else if( this.columns.frozen_right[ column_name ] ) {
 
-            let keys = Object.keys( this.columns.frozen_right );
-            for( let key of keys ) {
-                if( this.columns.frozen_right[ key ] ) {
-                    frozen_count++;
-                }
-            }
+        let column = entry.column;
+        let content = this.grouping[ entry.type == 'group_header' ? 'header' : 'footer' ][ column ];
+        if( typeof( content ) == 'function' ) {
+            content = content( column, record[ column ], record );
+        }
 
-            for( let i = this.columns.order.length; i >= 0; i-- ) {
-                let current_column = this.columns.order[ i ];
-                if( current_column == column_name ) {
-                    break;
-                }
-                else if( this.columns.visible[ current_column ] ) {
-                    col_count++;
-                    fixed_position += this.columns.width[ current_column ];
-                    fix_columns++;
-                }
-            }
+        return {
+            key:  `${entry.type}_${column}_${record[ column ]}`,
+            html: `<tr class="${wsgrid_row}_${entry.type} ${wsgrid_row}_${entry.type}_${column}">`
+                + `<td class="${wsgrid_column}_${entry.type} ${wsgrid_column}_${entry.type}_${column}">`
+                + content
+                + '</td></tr>',
+        };
+    }
 
-            fixed_position += ( fix_columns * 6 ) + ( ( fix_columns == 0 ? 1 : fix_columns ) - 1 );
+    /**
+     * Generate the rows in and around the viewport, with spacer rows standing in for
+     * the rows above and below them so the scrollbar matches the full list.
+     * @return {Object[]}       - { key, html } for each row, see _generate_rows().
+     */
+    _generate_visible_rows() {
+        let height = this._row_height();
+        let range = this._visible_range( this.overscan_rows );
+        this.rendered_rows = range;
 
-            let border = '';
-            if( col_count == frozen_count ) {
-                border = 'border-left: 3px solid black;';
+        let rows = [];
+        if( range.start > 0 ) {
+            rows.push( this._generate_spacer( 'spacer_top', range.start * height ) );
+        }
+        for( let i = range.start; i < range.end; i++ ) {
+            rows.push( this._generate_list_row( this.row_list[ i ] ) );
+        }
+        if( range.end < this.row_list.length ) {
+            rows.push( this._generate_spacer( 'spacer_bottom', ( this.row_list.length - range.end ) * height ) );
+        }
+
+        return rows;
+    }
+
+    /**
+     * Generate an empty row that takes the place of rows that aren't generated.
+     * @param  {String} key     - Key of the spacer, spacer_top or spacer_bottom.
+     * @param  {Number} height  - Height of the spacer in pixels.
+     * @return {Object}         - { key, html } where html is the <tr> element.
+     */
+    _generate_spacer( key, height ) {
+        return {
+            key:  key,
+            html: `<tr class="${wsgrid_row}_spacer" style="height:${height}px;"></tr>`,
+        };
+    }
+
+    /**
+     * Find which of the rows in row_list are in the viewport.
+     * @param  {Number} [overscan=0]  - Number of extra rows to include above and below the viewport.
+     * @return {Object}               - { start, end } index of the first row, and one past the last row.
+     */
+    _visible_range( overscan = 0 ) {
+        let height = this._row_height();
+        let header = this.grid.querySelector( `.${wsgrid_header}` );
+        let viewport = this.grid.clientHeight - ( header === null ? 0 : header.offsetHeight );
+
+        let first = Math.floor( this.grid.scrollTop / height );
+        let count = Math.ceil( Math.max( viewport, height ) / height ) + 1;
+
+        return {
+            start: Math.max( 0, first - overscan ),
+            end:   Math.min( this.row_list.length, first + count + overscan ),
+        };
+    }
+
+    /**
+     * Height of a row for virtual_scroll, the row_height option or the height of the first row generated.
+     * @return {Number}    - height in pixels.
+     */
+    _row_height() {
+        return this.row_height || this.measured_row_height || default_row_height;
+    }
+
+    /**
+     * Generate the body of the grid. The first time rows are generated with virtual_scroll on and
+     * no row_height, a row is measured and the rows are generated again using its height.
+     */
+    _render_body() {
+        if( this._defer_render() ) {
+            return;
+        }
+
+        let body = this.grid.querySelector( `.${wsgrid_body}` );
+        this._patch_rows( body, this._generate_rows() );
+
+        if( this.virtual_scroll && ! this.row_height && typeof( this.measured_row_height ) == 'undefined' ) {
+            let row = body.querySelector( `tr.${wsgrid_row}` );
+            if( row !== null && row.offsetHeight > 0 ) {
+                this.measured_row_height = row.offsetHeight;
+                this._patch_rows( body, this._generate_visible_rows() );
             }
+        }
+    }
 
-            frozen_style = `position:sticky;right:${fixed_position}px;z-index:5;${border}`;
+    /**
+     * Generate the rows that scrolled into view, keeping the state of the rows around them.
+     * An open editor whose row would no longer be generated is closed first, saving its value.
+     */
+    _render_visible_rows() {
+        let editor = this.active_editor;
+        if( typeof( editor ) !== 'undefined' ) {
+            let range = this._visible_range( this.overscan_rows );
+            let index = this.row_list.findIndex( ( entry ) => {
+                return entry.type == 'row' && entry.row_id == editor.dataset.rowid;
+            } );
+
+            // If the editor won't close, leave the rows alone until it does.
+            if( ( index < range.start || index >= range.end ) && ! this._close_editor( editor ) ) {
+                return;
+            }
         }
 
-        return frozen_style;
+        this._preserve_view( () => {
+            this._patch_rows( this.grid.querySelector( `.${wsgrid_body}` ), this._generate_visible_rows() );
+        } );
     }
 
     /**
-     * based on the row/column and possibly other data, add styles to the cell.
-     * @param  {Number} row_id      - Record ID we're working with.
-     * @param  {String} column_name - Column Name we're working with.
-     * @param  {Object} row_data    - Key/Value pairs representing the data for this record.
-     * @return {String}             - A String of CSS styles to apply to the cell we're working with.
+     * Update the rows of a section of the table (thead, tbody, or tfoot) to match the given rows.
+     * Rows are matched up by key, rows that haven't changed are left alone, and only the cells
+     * that changed are replaced, so focus, the selection, and an open editor are kept.
+     * @param  {Element}  section  - The thead, tbody, or tfoot element.
+     * @param  {Object[]} rows     - { key, html } for each row, in display order.
      */
-    _generate_user_styles( row_id, column_name, row_data ) {
+    _patch_rows( section, rows ) {
+        let previous = this.row_elements.get( section ) || new Map();
+        let current = new Map();
+        let template = document.createElement( 'tbody' );
+        let next = section.firstChild;
+
+        for( let row of rows ) {
+            let matches = previous.get( row.key ) || [];
+            let element = matches.shift();
+
+            if( typeof( element ) == 'undefined' || element.parentNode !== section ) {
+                template.innerHTML = row.html;
+                element = template.firstElementChild;
+            }
+            else if( this.row_html.get( element ) !== row.html ) {
+                template.innerHTML = row.html;
+                this._patch_element( element, template.firstElementChild );
+            }
+            this.row_html.set( element, row.html );
 
-        if( row_id === '' ) {
-            return '';
+            if( element === next ) {
+                next = next.nextSibling;
+            }
+            else {
+                section.insertBefore( element, next );
+            }
+
+            if( ! current.has( row.key ) ) {
+                current.set( row.key, [] );
+            }
+            current.get( row.key ).push( element );
         }
-        if( typeof( this.columns.style[ column_name ] ) == 'function' ) {
-            return this.columns.style[ column_name ]( row_id, column_name, row_data );
+
+        // Whatever is left over is a row that's no longer displayed.
+        while( next !== null ) {
+            let following = next.nextSibling;
+            section.removeChild( next );
+            next = following;
         }
 
-        return this.columns.style[ column_name ];
+        this.row_elements.set( section, current );
     }
 
     /**
-     * Generate the HTML for the checkbox used on each row of the multi-select grid.
-     * @param  {String} row_id     - Row ID, 'header', or ''
-     * @return {String}            - Contents/checkbox for the multiselect.
-     *                               If row_id == '', return no checkbox,
-     *                               If row_id == 'header' return a header checkbox
-     *                               If row_id == Row Number, return a per record checkbox.
+     * Make an element match a newly generated one, changing only the attributes and cells that differ.
+     * @param  {Element} current  - The row or cell in the grid.
+     * @param  {Element} next     - The newly generated row or cell.
      */
-    _generate_multiselect( row_id ) {
-        let class_name = row_id;
+    _patch_element( current, next ) {
+        // The editor keeps its contents, but its row id can change.
+        if( current === this.active_editor ) {
+            current.id = next.id;
+            current.dataset.rowid = next.dataset.rowid;
+            return;
+        }
 
-        if( row_id === '' ) {
-            return '';
+        for( let attribute of Array.from( current.attributes ) ) {
+            if( ! next.hasAttribute( attribute.name ) ) {
+                current.removeAttribute( attribute.name );
+            }
         }
-        // if the row_id is a number...
-        else if( row_id !== 'header' ) {
-            class_name = `id_${row_id}`;
+
+        for( let attribute of Array.from( next.attributes ) ) {
+            let value = attribute.value;
+            if( attribute.name == 'class' ) {
+                for( let name of transient_classes ) {
+                    if( current.classList.contains( name ) && ! next.classList.contains( name ) ) {
+                        value += ` ${name}`;
+                    }
+                }
+            }
+
+            if( current.getAttribute( attribute.name ) !== value ) {
+                current.setAttribute( attribute.name, value );
+            }
         }
 
-        let is_selected = '';
-        // if( this.metadata[ row_id ].selected ) {
-        //     is_selected = 'checked';
-        // }
-        // Class order makes a difference here:
-        return `<input class="${wsgrid_multiselect}_${class_name} ${wsgrid_multiselect}_checkbox" type="checkbox" data-rowid="${row_id}" ${is_selected}>`;
+        if( current.tagName != 'TR' ) {
+            if( current.innerHTML !== next.innerHTML ) {
+                current.innerHTML = next.innerHTML;
+            }
+            return;
+        }
+
+        // Cells are matched up by column, so moved and virtual columns keep their cells.
+        let cell_key = ( cell ) => {
+            return cell.dataset.column || cell.classList[ 0 ];
+        };
+
+        let previous = new Map();
+        for( let cell of Array.from( current.children ) ) {
+            let key = cell_key( cell );
+            if( ! previous.has( key ) ) {
+                previous.set( key, [] );
+            }
+            previous.get( key ).push( cell );
+        }
+
+        let position = current.firstElementChild;
+        for( let cell of Array.from( next.children ) ) {
+            let match = ( previous.get( cell_key( cell ) ) || [] ).shift();
+
+            if( typeof( match ) !== 'undefined' && match.tagName == cell.tagName ) {
+                this._patch_element( match, cell );
+            }
+            else {
+                match = cell;
+            }
+
+            if( match === position ) {
+                position = position.nextElementSibling;
+            }
+            else {
+                current.insertBefore( match, position );
+            }
+        }
+
+        // Whatever is left over is a cell that's no longer displayed.
+        while( position !== null ) {
+            let following = position.nextElementSibling;
+            current.removeChild( position );
+            position = following;
+        }
     }
 
     /**
-     * Set the data to be used for the totals row at the bottom.
-     * If there is no totals data don't set anything.
+     * Generate the column headers, patching the header row in place.
+     */
+    _render_header() {
+        if( this._defer_render() ) {
+            return;
+        }
+
+        this._patch_rows( this.grid.querySelector( `.${wsgrid_header}` ), [ {
+            key:  'header',
+            html: this._generate_column_headers(),
+        } ] );
+    }
+
+    /**
+     * Generate the totals row, patching it in place.
+     */
+    _render_footer() {
+        if( this._defer_render() ) {
+            return;
+        }
+
+        let totals = this._generate_totals_row();
+
+        this._patch_rows( this.grid.querySelector( `.${wsgrid_footer}` ), ( totals == '' ? [] : [ {
+            key:  'totals',
+            html: totals,
+        } ] ) );
+    }
+
+    /**
+     * Generate the HTML for the given row_id.
+     * @param  {Number} row_id         - Id of the record to generate HTML for.
+     * @param  {Object} data           - All key, value pairs to generate HTML for.
+     * @param  {String} row_classes    - List of classes to add to the row.
+     * @param  {String} column_classes - List of classes to add to each column
+     * @param  {Boolean} is_header     - Is this row a header row? Default: false.
+     * @return {String}                - All the HTML for this row in a string.
+     */
+    _generate_row( row_id, data, row_classes = '', column_classes = '', is_header = false ) {
+        let user_classes = [];
+        if( row_id !== '' && typeof( this.events.row_classes ) == 'function' ) {
+            user_classes = user_classes.concat( this.events.row_classes( row_id, data ) );
+        }
+        else if( row_id !== '' && typeof( this.events.row_classes ) == 'array' ) {
+            user_classes = user_classes.concat( this.events.row_classes );
+        }
+
+        if( row_id !== '' && this._row_has_error( row_id ) ) {
+            user_classes.push( `${wsgrid_row}_error` );
+        }
+
+        /*********************************************************************************
+         * Generate Row
+         *********************************************************************************/
+        let row_html = `<tr class="${wsgrid_row} ${wsgrid_row}_${row_id} ${row_classes} ${user_classes.join( ' ' )}"`
+                    + ( row_id == '' ? '' : `data-rowid="${row_id}"` )
+                    //+ ` style="min-width:${this.min_row_width}px;`
+                    + ( this.overflow ? '' : `max-width:${this.min_row_width};` )
+                    + `">`;
+
+        let column_type = 'td';
+        if( is_header ) {
+            column_type = 'th';
+        }
+
+        if( this.row_reorder ) {
+            row_html += `<${column_type} class="${wsgrid_column}_row_move_target frozen_left" style="position:sticky;left:0px;z-index:5;width:5px;" data-rowid="${row_id}"></${column_type}>`;
+        }
+
+        if( this.multi_select ) {
+            row_html += `<${column_type} class="${wsgrid_multiselect}_cell ${column_classes}" style="position:sticky;left:0;z-index:5;">`
+                    + this._generate_multiselect( ( is_header ? 'header' : row_id ) ) + `</${column_type}>`;
+        }
+
+        // With virtual_columns on, the columns out of view are replaced by spacers as wide as they are.
+        let skipped = 0;
+        for( let column = 0; column < this.columns.order.length; column++ ) {
+            let column_name = this.columns.order[ column ];
+
+            if( ! this._is_column_rendered( column ) ) {
+                if( this.columns.visible[ column_name ] ) {
+                    skipped += this.columns.width[ column_name ] + column_padding;
+                }
+                continue;
+            }
+
+            row_html += this._generate_column_spacer( column_type, skipped );
+            skipped = 0;
+
+            row_html += this._generate_cell( row_id, column, data, column_type, column_classes, is_header );
+        }
+        row_html += this._generate_column_spacer( column_type, skipped );
+        row_html += '</tr>';
+
+        return row_html;
+    }
+
+    /**
+     * Is the column generated? With virtual_columns on only the columns in and around
+     * the horizontal viewport, and the frozen columns, are generated.
+     * @param  {Number}  column_id  - Index of the column in columns.order.
+     * @return {Boolean}
+     */
+    _is_column_rendered( column_id ) {
+        if( ! this.virtual_columns ) {
+            return true;
+        }
+
+        let column_name = this.columns.order[ column_id ];
+        if( this.columns.frozen_left[ column_name ] || this.columns.frozen_right[ column_name ] ) {
+            return true;
+        }
+
+        // keep the open editor when its column scrolls out of view.
+        if( typeof( this.active_editor ) !== 'undefined' && this.active_editor.dataset.column == column_name ) {
+            return true;
+        }
+
+        return column_id >= this.rendered_columns.start && column_id < this.rendered_columns.end;
+    }
+
+    /**
+     * Find which columns are in the horizontal viewport.
+     * @param  {Number} [overscan=0]  - Number of extra columns to include on each side of the viewport.
+     * @return {Object}               - { start, end } index in columns.order of the first column, and one past the last.
+     */
+    _visible_columns( overscan = 0 ) {
+        let order = this.columns.order;
+        let left = ( this.row_reorder ? 5 + column_padding : 0 ) + ( this.multi_select ? 20 + column_padding : 0 );
+        let view_start = this.grid.scrollLeft;
+        let view_end = view_start + Math.max( this.grid.clientWidth, 1 );
+
+        let start = -1;
+        let end = -1;
+        for( let i = 0; i < order.length; i++ ) {
+            if( ! this.columns.visible[ order[ i ] ] ) {
+                continue;
+            }
+
+            let right = left + this.columns.width[ order[ i ] ] + column_padding;
+            if( right > view_start && left < view_end ) {
+                if( start == -1 ) {
+                    start = i;
+                }
+                end = i + 1;
+            }
+            left = right;
+        }
+
+        if( start == -1 ) {
+            return { start: 0, end: 0 };
+        }
+
+        return {
+            start: Math.max( 0, start - overscan ),
+            end:   Math.min( order.length, end + overscan ),
+        };
+    }
+
+    /**
+     * Generate an empty cell that takes the place of the columns that aren't generated.
+     * @param  {String} column_type  - Is this a header or body cell? th or td
+     * @param  {Number} width        - Width of the columns it replaces in pixels.
+     * @return {String}              - HTML string of the cell, empty if there's no width.
+     */
+    _generate_column_spacer( column_type, width ) {
+        if( width <= 0 ) {
+            return '';
+        }
+
+        return `<${column_type} class="${wsgrid_column}_spacer" style="width:${width}px;min-width:${width}px;padding:0;border:none;"></${column_type}>`;
+    }
+
+    /**
+     * Generate the contents of the cell at row_id, column_id.
+     * @param  {Number}  row_id              - Row ID of the cell we're generating.
+     * @param  {Number}  column_id           - Column ID of the cell we're generating.
+     * @param  {Object}  data                - data to be displayed in the cell.
+     * @param  {String}  column_type         - Is this a header or body cell? th or td
+     * @param  {String}  [column_classes=''] - A list of classes to add to the cell.
+     * @param  {Boolean} [is_header=false]   - is this a header cell?
+     * @return {String}                      - HTML string containing the contents of the cell.
+     */
+    _generate_cell( row_id, column_id, data, column_type, column_classes = '', is_header = false ) {
+        let column_name = this.columns.order[ column_id ];
+
+        let cell_html = '';
+        let value = '';
+
+        let sort_styling = '';
+        let move_handle = '';
+        let resize_handle = '';
+
+        if( is_header ) {
+            let decoration_side = 'left';
+            if( column_name == this.sort_column ) {
+                if( this.columns.align[ column_name ] == 'left' ) {
+                    decoration_side = 'right';
+                }
+                sort_styling = `<span class="${wsgrid_header}_sort ${wsgrid_header}_column" style="${decoration_side}:5px"><i class="fa fa-sort-${this.sort_direction} fa-sm ${wsgrid_header}_column"></i></span>`;
+            }
+
+            // if this isn't the first column in a multi_select then...
+            if( this.multi_select && column_id == 0 ) {
+                move_handle = '';
+                resize_handle = '';
+            }
+            else {
+                // if the column can be re-ordered and the column isn't frozen, include the move handler.
+                if( this.column_reorder
+                    && ( ! this.columns.frozen_right[ column_name ] && ! this.columns.frozen_left[ column_name ] ) ) {
+                    move_handle = `<span class='${wsgrid_header}_column_move_target' data-column='${column_name}'></span>`;
+                }
+
+                if( this.column_resize && ! this.columns.locked[ column_name ] ) {
+                    resize_handle = `<span class="${wsgrid_header}_column_resize" data-column="${column_name}"></span>`;
+                }
+            }
+
+            value = this.columns.label[ column_name ];
+        }
+        else {
+
+            // if there is data to display figure out how to display it.
+            if( typeof( data[ column_name ] ) !== 'undefined' ) {
+
+                if( this.columns.type[ column_name ] == 'dropdown' ) {
+                    let val = data[ column_name ];
+                    value = this.columns.options[ column_name ][ val ];
+                }
+                else if( typeof( this.columns.format[ column_name ] ) == 'string' ) {
+                    let formatType = this.columns.format[ column_name ];
+                    value = this[ `format_${formatType.toLowerCase()}` ]( data[ column_name ] );
+                }
+                else if( typeof( this.columns.format[ column_name ] ) == 'function' ) {
+                    value = this.columns.format[ column_name ]( data[ column_name ], data );
+                }
+                else {
+                    value = data[ column_name ];
+                }
+            }
+            // a column can display data even if it doesn't have data from the backend.
+            else if( typeof( this.columns.format[ column_name ] ) !== 'undefined' ) {
+                // display data from a user function
+                if( typeof( this.columns.format[ column_name ] ) == 'function' ) {
+                    value = this.columns.format[ column_name ]( data[ column_name ], data );
+                }
+                // display data from a built-in function
+                else {
+                    let formatType = this.columns.format[ column_name ];
+                    value = this[ `format_${formatType.toLowerCase()}` ]( data[ column_name ] );
+                }
+            }
+        }
+
+        /*********************************************************************************
+         * Generate Columns
+         *********************************************************************************/
+        let user_classes = [];
+
+        if( row_id !== '' && typeof( this.events.cell_classes ) == 'function' ) {
+            user_classes = user_classes.concat( this.events.cell_classes( row_id, column_name, data ) );
+        }
+        else if( row_id !== '' && typeof( this.events.cell_classes ) == 'array' ) {
+            user_classes = user_classes.concat( this.events.cell_classes );
+        }
+
+        //FIXME: rewrite for array instead of string.
+        if( row_id !== '' && typeof( this.columns.classes[ column_name ] ) == 'function' ) {
+            user_classes.push( this.columns.classes[ column_name ]( row_id, value, data ) );
+        }
+        else {
+            user_classes.push( this.columns.classes[ column_name ] );
+        }
+
+        let display = '';
+        if( ! this.columns.visible[ column_name ] ) {
+            display = 'display: none;';
+        }
+
+        let frozen_style = this._generate_frozen_styles( column_name );
+
+        let user_styles = this._generate_user_styles( row_id, column_name, data );
+
+        let tooltip = '';
+        if( this.columns.tooltip[ column_name ] !== ''
+            && is_header
+        ) {
+            tooltip = ` title="${this.columns.tooltip[ column_name ]}"`;
+        }
+
+        // Show the state of the cell that is kept in the metadata.
+        let metadata = ( row_id !== '' && ! is_header && this.metadata[ row_id ] ? this.metadata[ row_id ][ column_name ] : undefined );
+        if( typeof( metadata ) !== 'undefined' ) {
+            if( metadata.classes ) {
+                user_classes.push( metadata.classes );
+            }
+            if( metadata.pending ) {
+                user_classes.push( `${wsgrid_cell}_pending` );
+            }
+            if( metadata.unsynced ) {
+                user_classes.push( `${wsgrid_cell}_unsynced` );
+            }
+            if( metadata.error ) {
+                user_classes.push( `${wsgrid_cell}_error` );
+                tooltip = ` title="${convert_html_entities( String( metadata.error ) )}"`;
+            }
+        }
+
+        cell_html += `<${column_type} class="${wsgrid_column} ${wsgrid_cell} ${column_classes} ${wsgrid_column}_${column_name}`
+            + ( this.columns.frozen_left[ column_name ] ? ' frozen_left' : '' )
+            + ( this.columns.frozen_right[ column_name ] ? ' frozen_right' : '' )
+            + ( is_header ? '' : ` ${user_classes.join( ' ' )}"` )
+            + ` id="${this.id}_${wsgrid_column}_${row_id}_${column_name}"`
+            + tooltip
+            + ` data-rowid='${row_id}' data-column='${column_name}' data-columnid="${column_id}"`
+            + ` style="${display} ${frozen_style} width:${this.columns.width[ column_name ]}px;${user_styles};">`
+            + move_handle + this._generate_cell_content( column_name, value, is_header ) + sort_styling + resize_handle;
+        +`</${column_type}>`;
+
+        return cell_html;
+    }
+
+    /**
+     * Generate the contents of the cell.
+     * @param  {String} column_name  - Name of the column this cell belongs in.
+     * @param  {String} value        - Value after formatting to display in the grid cell.
+     * @param  {boolean} is_header   - Is this a header cell?
+     * @return {String}              - String of HTML for display in a grid cell.
+     */
+    _generate_cell_content( column_name, value, is_header = false ) {
+        let header_class = '';
+        if( is_header ) {
+            header_class = `${wsgrid_header}_column`;
+        }
+        let alignment = this.columns.align[ column_name ];
+        let html = `<div class="${wsgrid_cell}_div_position ${header_class}">`
+             + `<div class="${wsgrid_cell}_div ${header_class}" style="text-align:${alignment};">${value}</div>`
+             + `</div>`;
+
+        return html;
+    }
+
+    /**
+     * Set a new column width, update the column calculations, and recreat the table.
+     * @param {String} column_name   - Name of the column to update the width for
+     * @param {Number} width         - The new width of the column
+     * @emits {row.resized}          - event triggered after a row has been resized
+     *                                 contains the name of the column being resized.
+     */
+    set_column_width( column_name, width ) {
+        // set minimum width so we can still resize it
+        // and the column doesn't completely disappear.
+        if( width < 2 ) {
+            width = 2;
+        }
+
+        this.columns.width[ column_name ] = width;
+        this._calculate_columns( true );
+        let e = new Event( 'row.resized', { bubbles: true } );
+        e.data = {
+            column: column_name,
+        };
+        this.grid.dispatchEvent( e );
+
+        this.refresh();
+    }
+
+    /**
+     * Move the column column_name before next_column.
+     * If no column name is given or it is undefined places the column at the end of the grid.
+     *
+     * @param {String} column_name    - Column to move
+     * @param {String} next_element   - Column to move in front of
+     * @emits {column.moved} emits event when a column's position is changed.
+     */
+    set_column_position( column_name, next_element ) {
+        if( this.columns.frozen_left[ next_element ]
+            || this.columns.frozen_right[ next_element ]
+        ) {
+            return;
+        }
+
+        this.columns.order.splice( this.columns.order.indexOf( column_name ), 1 );
+        this.columns.order.splice( this.columns.order.indexOf( next_element ), 0, column_name );
+
+        let e = new Event( 'column.moved', { bubbles: true } );
+        e.data = {
+            column: column_name,
+            next:   next_element,
+        };
+        this.grid.dispatchEvent( e );
+
+        this.refresh();
+    }
+
+    /**
+     * Move the row row_id after previous_row.
+     * If no previous_row is given or it is undefined places the row at the end of the grid.
+     *
+     * @param {Number} row_id         - row to move
+     * @param {Number} previous_row   - place row_id after previous_row, if it exists or at the end of the grid.
+     * @emits {wsgrid__data.row_moved} emits event when a row's position is changed.
+     */
+    set_row_position( row_id, previous_row ) {
+        let row_data = this.data[ row_id ];
+        this.data.splice( row_id, 1 );
+        this.data.splice( previous_row, 0, row_data );
+
+        let e = new Event( 'row.moved', { bubbles: true } );
+        e.data = {
+            row:       row_id,
+            previous:  previous_row,
+        };
+        this.grid.dispatchEvent( e );
+
+        this.refresh();
+    }
+
+    /**
+     * Event, checking the checkbox in the column header, (un)checks all the checkboxes
+     * @param  {Boolean} state    - The state to set the checkboxes to
+     */
+    _multiselect_header_checked( state ) {
+        for( let i = 0; i < this.data.length; i++ ) {
+            if( this._is_selected( i ) ) {
+                this._check_row( i, state );
+            }
+        }
+
+        let checkboxes = this.grid.querySelectorAll( `input[class^="${wsgrid_multiselect}_id"]` );
+
+        for( let i = 0; i < checkboxes.length; i++ ) {
+            checkboxes[ i ].checked = state;
+            checkboxes[ i ].parentElement.classList.toggle( `${wsgrid_row}_selected`, state );
+        }
+    }
+
+    /**
+     * Using the column model properties create the column headers
+     * @return {String}               - HTML string of all <th> element in the row.
+     */
+    _generate_column_headers() {
+        let column_name = '';
+
+        return this._generate_row(
+            '',
+            {},
+            '',
+            `${wsgrid_header}_column ${wsgrid_column}_${column_name}`,
+            /*is_header=*/true
+        );
+    }
+
+    /**
+     * Generate the styles used for this column based on if the column is frozen or not.
+     * @param  {String} column_name   - Name of the column we're generating styles for.
+     * @return {String}               - CSS styles in a string for use inline on the td elemement.
+     */
+    _generate_frozen_styles( column_name ) {
+        let frozen_style = '';
+        let fixed_position = 0;
+        let frozen_count = 0;
+        let col_count = 1;
+        let fix_columns = 0;
+
+        if( this.columns.frozen_left[ column_name ] ) {
+
+            let keys = Object.keys( this.columns.frozen_left );
+            for( let key of keys ) {
+                if( this.columns.frozen_left[ key ] ) {
+                    frozen_count++;
+                }
+            }
+
+            if( this.row_reorder ) {
+                fixed_position += 5 + 7;
+            }
+
+            if( this.multi_select ) {
+                fixed_position += 20 + 7;
+            }
+
+            for( let i = 0; i < this.columns.order.length; i++ ) {
+
+                let current_column = this.columns.order[ i ];
+                if( current_column == column_name ) {
+                    break;
+                }
+                else if( this.columns.visible[ current_column ] ) {
+                    col_count++;
+                    fixed_position += this.columns.width[ current_column ];
+                    fix_columns++;
+                }
+            }
+
+            fixed_position += ( fix_columns * 6 ) + fix_columns;
+
+            let border = '';
+            if( col_count == frozen_count ) {
+                border = 'border-right: 3px solid black;';
+            }
+
+            frozen_style = `position:sticky;left:${fixed_position}px;z-index:5;${border}`;
+
+        }
+        else if( this.columns.frozen_right[ column_name ] ) {
+
+            let keys = Object.keys( this.columns.frozen_right );
+            for( let key of keys ) {
+                if( this.columns.frozen_right[ key ] ) {
+                    frozen_count++;
+                }
+            }
+
+            for( let i = this.columns.order.length; i >= 0; i-- ) {
+                let current_column = this.columns.order[ i ];
+                if( current_column == column_name ) {
+                    break;
+                }
+                else if( this.columns.visible[ current_column ] ) {
+                    col_count++;
+                    fixed_position += this.columns.width[ current_column ];
+                    fix_columns++;
+                }
+            }
+
+            fixed_position += ( fix_columns * 6 ) + ( ( fix_columns == 0 ? 1 : fix_columns ) - 1 );
+
+            let border = '';
+            if( col_count == frozen_count ) {
+                border = 'border-left: 3px solid black;';
+            }
+
+            frozen_style = `position:sticky;right:${fixed_position}px;z-index:5;${border}`;
+        }
+
+        return frozen_style;
+    }
+
+    /**
+     * based on the row/column and possibly other data, add styles to the cell.
+     * @param  {Number} row_id      - Record ID we're working with.
+     * @param  {String} column_name - Column Name we're working with.
+     * @param  {Object} row_data    - Key/Value pairs representing the data for this record.
+     * @return {String}             - A String of CSS styles to apply to the cell we're working with.
+     */
+    _generate_user_styles( row_id, column_name, row_data ) {
+
+        if( row_id === '' ) {
+            return '';
+        }
+        if( typeof( this.columns.style[ column_name ] ) == 'function' ) {
+            return this.columns.style[ column_name ]( row_id, column_name, row_data );
+        }
+
+        return this.columns.style[ column_name ];
+    }
+
+    /**
+     * Generate the HTML for the checkbox used on each row of the multi-select grid.
+     * @param  {String} row_id     - Row ID, 'header', or ''
+     * @return {String}            - Contents/checkbox for the multiselect.
+     *                               If row_id == '', return no checkbox,
+     *                               If row_id == 'header' return a header checkbox
+     *                               If row_id == Row Number, return a per record checkbox.
+     */
+    _generate_multiselect( row_id ) {
+        let class_name = row_id;
+
+        if( row_id === '' ) {
+            return '';
+        }
+        // if the row_id is a number...
+        else if( row_id !== 'header' ) {
+            class_name = `id_${row_id}`;
+        }
+
+        let is_selected = '';
+        if( row_id === 'header' ) {
+            let count = 0;
+            for( let i = 0; i < this.data.length; i++ ) {
+                if( this._is_selected( i ) ) {
+                    count++;
+                    if( ! this.checked_rows.has( this.data[ i ] ) ) {
+                        count = 0;
+                        break;
+                    }
+                }
+            }
+            is_selected = ( count > 0 ? 'checked' : '' );
+        }
+        else if( this.checked_rows.has( this.data[ row_id ] ) ) {
+            is_selected = 'checked';
+        }
+        // Class order makes a difference here:
+        return `<input class="${wsgrid_multiselect}_${class_name} ${wsgrid_multiselect}_checkbox" type="checkbox" data-rowid="${row_id}" ${is_selected}>`;
+    }
+
+    /**
+     * Set the data to be used for the totals row at the bottom.
+     * If there is no totals data don't set anything.
      * @param {Object} row_data    - Object containing the rows to total using the Column Model column names.
      */
-    set_totals_row( row_data ) {
-        if( Array.isArray( row_data ) ) {
-            console.log( "Only using the first row of data" );
-            this.totals_data = row_data[ 0 ];
+    set_totals_row( row_data ) {
+        if( Array.isArray( row_data ) ) {
+            console.log( "Only using the first row of data" );
+            this.totals_data = row_data[ 0 ];
+        }
+        else {
+            this.totals_data = row_data;
+        }
+
+        this._render_footer();
+    }
+
+    /**
+     * Generate the html for a totals row for the footer of the table.
+     * @return {String}      - HTML for the totals row.
+     */
+    _generate_totals_row() {
+        if( this.totals_data === undefined ) {
+            return '';
+        }
+
+        return this._generate_row( '', this.totals_data, `${wsgrid_totals}`, `${wsgrid_totals}_column` );
+    }
+
+    /**
+     * getter/setter for word wrapping in cells.
+     * @param  {Boolean} [state=undefined]   - state to set the word_wrap to.
+     * @return {Boolean}                     - current state of word wrap.
+     */
+    word_wrap( state = undefined ) {
+
+        if( typeof( state ) == 'undefined' ) {
+            return this.cell_word_wrap;
+        }
+        else {
+            if( state ) {
+                this._modify_stylesheet_rule( `.${wsgrid_table}`, {
+                    'white-space': 'normal',
+                } );
+            }
+            else {
+                this._modify_stylesheet_rule( `.${wsgrid_table}`, {
+                    'white-space': 'nowrap',
+                } );
+            }
+            this.cell_word_wrap = state;
+        }
+    }
+
+    /**
+     * Create a filter and apply it to the data.
+     * @param  {Array} filters - An Array of filter Objects containing the following options:
+     *     type     - string - 'string', 'number',
+     *     operator - '==', '<', '>', '<=', '>=', '!=',
+     *     test     - string or number to test against.
+     *     join     - How to join this filter to the previous one.
+     * ie: [ { type: 'string', operator: '==', test: 'John' } ]
+     */
+    filter( filters ) {
+
+        if( typeof( filters ) == 'boolean' ) {
+            this.is_filtered = filters;
+        }
+        else {
+            this.filters = filters;
+            this.is_filtered = true;
+        }
+        this.filter_results = new WeakMap();
+
+        if( this.remote ) {
+            this.page = 1;
+            this.reload().catch( () => {} );
+            return;
+        }
+
+        if( ! this._sort_in_worker( this.sort_column, this.sort_direction, () => { this.refresh(); } ) ) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Should we filter out this record?
+     * @param  {Number}  index - the index number to test the filtering on.
+     * @return {Boolean}
+     */
+    _is_selected( index ) {
+
+        // If the filter isn't turned on, select everything.
+        // In remote mode the server has already filtered the data.
+        if( ! this.is_filtered || this.remote ) {
+            return true;
+        }
+
+        let row_data = this.data[ index ];
+
+        // Filtered in the worker, see _sort_in_worker().
+        if( this.filter_results.has( row_data ) ) {
+            return this.filter_results.get( row_data );
+        }
+
+        for( let i = 0; i < this.filters.length; i++ ) {
+            let f = this.filters[ i ];
+            if( row_data[ f.field ] == f.test ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Refresh the data displayed in the grid.
+     * This updates the displayed data using the data stored data array.
+     * Only the rows and cells that changed are replaced, see _patch_rows().
+     */
+    refresh() {
+        if( this._defer_render() ) {
+            return;
+        }
+
+        if( this.virtual_columns ) {
+            this.rendered_columns = this._visible_columns( this.overscan_columns );
+        }
+
+        this._render_header();
+        this._render_body();
+        this._render_footer();
+
+        let event = document.createEvent( 'HTMLEvents' );
+        event.initEvent( 'load_complete', true, true );
+        this.grid.dispatchEvent( event );
+    }
+
+    /**
+     * Refresh the contents of just the cell at row_id, column_name.
+     * @param  {Number} row_id          - row number of the cell to replace
+     * @param  {String} column_name     - name of the column for the cell to be replaced
+     * @param  {boolean} recreate_cell  - If true generate the cell anew replacing the existing contents.
+     */
+    refresh_cell( row_id, column_name, recreate_cell = true ) {
+        if( this._defer_render() ) {
+            return;
+        }
+
+        let row = this.grid.querySelector( `tr.${wsgrid_row}_${row_id}` );
+
+        // The row isn't in the DOM, it's filtered out or virtual_scroll hasn't generated it.
+        // It's generated from the data when it's shown.
+        if( row === null ) {
+            return;
+        }
+
+        let cell = row.querySelector( `td.${wsgrid_column}_${column_name}` );
+
+        // The row no longer matches the HTML it was generated from.
+        this.row_html.delete( row );
+
+        if( cell === null ) {
+            if( this.columns.visible[ column_name ] == false
+                || ! this._is_column_rendered( this.columns.order.indexOf( column_name ) )
+            ) {
+                return;
+            }
+            else {
+                throw new Error( "Cannot find a cell for the given column in this row: ", column_name );
+            }
+        }
+
+        let column_id = cell.dataset.columnid;
+        let data = this.data[ row_id ];
+
+        if( recreate_cell ) {
+            // Every other class is regenerated from the column model and metadata,
+            // only the selection has to be carried over to the new cell.
+            let classes = ( cell.classList.contains( 'selected' ) ? 'selected' : '' );
+
+            // create a temporary wrapper so we can create the cell we really want.
+            let temp = document.createElement( 'tr' );
+            let cell_html = this._generate_cell( row_id, column_id, data, cell.tagName, classes );
+            temp.innerHTML = cell_html;
+
+            let newCell = temp.firstChild;
+            row.replaceChild( newCell, cell );
+        }
+        else {
+            row.removeChild( cell );
+            if( row.children.length <= 0 ) {
+                row.parentElement.removeChild( row );
+            }
+        }
+    }
+
+    /**
+     * Add the records to the data
+     * @param {Object[]} records  - a Javascript object containing keys matching the columns
+     * @emits {recordset.changed} - allow the user to keep track of changes occuring to rows.
+     */
+    append_rows( records ) {
+        this._remember_versions( records );
+
+        // To avoid issues with wrong column counts and additional columns
+        // only pull in data for the columns defined in the grid.
+        let new_records = [];
+
+        for( let i = 0; i < records.length; i++ ) {
+            let record = {};
+            for( let c = 0; c < this.columns.order.length; c++ ) {
+                let column_name = this.columns.order[ c ];
+                record[ column_name ] = records[ i ][ column_name ];
+            }
+
+            new_records.push( record );
+        }
+
+        let old_length = this.data.length;
+        //change data in place, add new elements...
+        this.data.splice( old_length, 0, ...new_records );
+
+        if( typeof( this.transaction ) !== 'undefined' ) {
+            this.transaction.inserts.push( ...new_records );
+        }
+
+        let new_length = this.data.length;
+
+        for( let i = old_length; i < new_length; i++ ) {
+            let row = {};
+            for( let c = 0; c < this.columns.order.length; c++ ) {
+                // clone the metadata for each cell.
+                row[ this.columns.order[ c ] ] = Object.assign( {}, cell_metadata );
+            }
+            this.metadata.push( row );
+        }
+
+        this._render_body();
+
+        this._dispatch_recordset_changed();
+    }
+
+    /**
+     * Delete all rows listed in the given array.
+     * @param  {Array} rows     - List of rows in the form of an array.
+     */
+    delete_rows( rows ) {
+
+        // Delete from the bottom up so removing a row doesn't shift the rows still to be deleted.
+        rows = Array.from( new Set( rows.map( Number ) ) ).sort( ( a, b ) => { return b - a; } );
+
+        for( let i = 0; i < rows.length; i++ ) {
+            let row = rows[ i ];
+            if( typeof( this.transaction ) !== 'undefined' ) {
+                this._record_delete( row );
+            }
+            this.checked_rows.delete( this.data[ row ] );
+            this.data.splice( row, 1 );
+            this.metadata.splice( row, 1 );
+        }
+
+        this.refresh();
+        this._dispatch_recordset_changed();
+    }
+
+    /**
+     * Delete rows from grid where the given key/value pairs match.
+     * @param  {Object[]} matches    - Array of { key: '', value: '' } matches.
+     */
+    delete_matches( matches ) {
+        let records = [];
+        for( let i = 0; i < matches.length; i++ ) {
+            let key = matches[ i ].key;
+            let value = matches[ i ].value;
+
+            let count = this.data.length;
+            for( let j = ( count - 1 ); j >= 0; j-- ) {
+                if( this.data[ j ][ key ] == value ) {
+                    records.push( j );
+                }
+            }
+        }
+
+        this.delete_rows( records );
+    }
+
+    /**
+     * Count of the rows of data in the record set.
+     * @return {Number} - record set count
+     */
+    count() {
+        return this.data.length;
+    }
+
+    /**
+     * Update the given records based on the unique key field.
+     * @param  {String} unique_key       - name of the key field.
+     * @param  {Object[]}  updated_data  - Array of records to update, the key field and value should be in this data.
+     */
+    update_records( unique_key, updated_data ) {
+        if( ! Array.isArray( updated_data ) ) {
+            throw new Error( "data isn't an array" );
+        }
+
+        if( this.throttle_updates && ! this.applying_updates ) {
+            this._queue_update( 'update', false, unique_key, updated_data );
+            return;
+        }
+
+        let updated_count = updated_data.length;
+        let count = this.data.length;
+
+        for( let i = 0; i < updated_count; i++ ) {
+            let keys = Object.keys( updated_data[ i ] );
+            delete keys[ unique_key ];
+
+            let key_value = updated_data[ i ][ unique_key ];
+
+            for( let j = 0; j < count; j++ ) {
+                if( this.data[ j ][ unique_key ] == key_value ) {
+                    for( let k = 0; k < keys.length; k++ ) {
+                        let key = keys[ k ];
+                        this.data[ j ][ key ] = updated_data[ i ][ key ];
+                        //this.refresh_cell( j, key );
+                    }
+                    this.filter_results.delete( this.data[ j ] );
+                    break;
+                }
+            }
+        }
+        this.refresh();
+    }
+
+    /**
+     * Setter for cell values. This function does not emit any signals when
+     * changing the data in the data model.
+     *
+     * @param {String} column_name - Name of the column to set data for
+     * @param {Number} row_id      - Row number to set data for
+     * @param {Mixed}  value       - Value to set in the row, column.
+     */
+    set_cell( column_name, row_id, value ) {
+        if( typeof( this.data[ row_id ] ) == 'undefined' ) {
+            throw new Error( "Cannot find row in data grid" );
+        }
+        if( ! this.data[ row_id ].hasOwnProperty( column_name ) ) {
+            throw new Error( "Cannot find column in row data", column_name );
+        }
+
+        let old_value = this.data[ row_id ][ column_name ];
+        if( old_value == value ) {
+            return;
+        }
+
+        this.data[ row_id ][ column_name ] = value;
+        this._flag_change( row_id, column_name, old_value );
+
+        this.refresh_cell( row_id, column_name );
+    }
+
+    /**
+     * Flag the cell as changed. The old_value is only kept the first time
+     * so it always holds the value the cell had before the user changed it.
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @param  {Mixed}  old_value    - Value of the cell before the change.
+     */
+    _flag_change( row_id, column_name, old_value ) {
+        let metadata = this.metadata[ row_id ][ column_name ];
+        this.filter_results.delete( this.data[ row_id ] );
+
+        if( typeof( this.transaction ) !== 'undefined' ) {
+            this.transaction.cells.push( {
+                record:    this.data[ row_id ],
+                column:    column_name,
+                new_value: this.data[ row_id ][ column_name ],
+                old_value: old_value,
+                changed:   metadata.changed,
+                original:  metadata.old_value,
+            } );
+        }
+
+        if( ! metadata.changed ) {
+            metadata.old_value = old_value;
+        }
+        metadata.changed = true;
+    }
+
+    /**
+     * Getter/setter for the value of a given cell.
+     * @param  {String} column_name - Name of the column to get the data from
+     * @param  {Number} row_id     - record id number.
+     * @param  {Mixed}  value      - If setting the value of a cell, this is the value to set.
+     * @return {Mixed}             - If getting the value of a cell, this is the value returned.
+     * @emits  {wsgrid__data.cell_changed} emits event when the data in a cell is changed.
+     */
+    cell_value( column_name, row_id, value ) {
+
+        if( typeof( value ) == 'undefined' ) {
+            return this.data[ row_id ][ column_name ];
+        }
+        else {
+            if( typeof( this.data[ row_id ] ) == 'undefined' ) {
+                return new Error( `Row ${row_id} doesn't exist in the data.` );
+            }
+            if( ! this.data[ row_id ].hasOwnProperty( column_name ) ) {
+                return new Error( `${column_name} doesn't exist.` );
+            }
+
+            let old_value = this.data[ row_id ][ column_name ];
+
+            this.set_cell( column_name, row_id, value );
+            this._dispatch_cell_changed( this.grid, [ {
+                row:       row_id,
+                column:    column_name,
+                new_value: value,
+                old_value: old_value,
+            } ] );
+
+            if( old_value != value && this._should_queue() ) {
+                this._queue_edit( row_id, column_name, old_value );
+            }
+        }
+    }
+
+    /**
+     * Let listeners know cells were changed. While a transaction is open the changes
+     * are held back and dispatched in a single event when it's committed.
+     * @param  {HTMLElement} target   - Element to dispatch the event from.
+     * @param  {Object[]}    changes  - Array of { row, column, new_value, old_value }
+     * @emits  {cell.changed}
+     */
+    _dispatch_cell_changed( target, changes ) {
+        if( typeof( this.transaction ) !== 'undefined' ) {
+            this.transaction.changes.push( ...changes );
+            return;
+        }
+
+        if( this.update_depth > 0 ) {
+            this.pending_update.changes.push( ...changes );
+            return;
+        }
+
+        let e = new Event( 'cell.changed', { bubbles: true } );
+        e.changes = changes;
+        target.dispatchEvent( e );
+    }
+
+    /**
+     * Getter/Setter the given property on the cell.
+     * @param {Number} row_id      - Row number
+     * @param {String} column_name - Name of the column
+     * @param {String} property    - Property to get/set on the cell
+     * @param {*}      value       - value of the property to set.
+     */
+    cell_property( row_id, column_name, property, value = undefined ) {
+
+        if( value === undefined ) {
+            try{
+                return this.metadata[ row_id ][ column_name ][ property ];
+            }
+            catch( error ) {
+                console.log( `Could not find property ${property} in the grid at ${row_id}, ${column_name}` );
+            }
+        }
+        else {
+            if( typeof( this.metadata[ row_id ] ) == 'undefined' ) {
+                throw new Error( "Row ID is undefined in metadata", this.metadata, row_id );
+            }
+
+            this.metadata[ row_id ][ column_name ][ property ] = value;
+
+            this.refresh_cell( row_id, column_name );
+        }
+    }
+
+    /**
+     * is the given cell editable?
+     * @param  {String}  column_name - Name of the column to check
+     * @param  {Number}  row_id      - Row id of the record to check.
+     * @return {Boolean}             - is the cell editable?
+     */
+    is_editable( column_name, row_id ) {
+        let editable = this.columns.editable[ column_name ];
+        if( typeof( editable ) == 'function' ) {
+            editable = editable( row_id, column_name, this.data[ row_id ] );
+        }
+
+        return editable;
+    }
+
+    /**
+     * return an array of all values from a given column.
+     * @param  {String} column_name - Name of column to get the data form.
+     * @return {Array}              - Array of values from the column.
+     */
+    column_values( column_name ) {
+        let c_data = [];
+
+        for( let i = 0; i < this.data.length; i++ ) {
+            c_data.push( this.data[ i ][ column_name ] );
+        }
+
+        return c_data;
+    }
+
+    /**
+     * Get the record ids of the selected row.
+     * @return {[type]} [description]
+     */
+    get_selected_rows() {
+        let records = [];
+
+        if( this.multi_select ) {
+            for( let i = 0; i < this.data.length; i++ ) {
+                if( this._is_selected( i ) && this.checked_rows.has( this.data[ i ] ) ) {
+                    records.push( i );
+                }
+            }
+        }
+        else {
+            let selected_rows = this.grid.querySelectorAll( '.selected' );
+            for( let i = 0; i < selected_rows.length; i++ ) {
+                records.push( Number( selected_rows[ i ].dataset.rowid ) );
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * Get the data for all rows that have been changed.
+     * @return {[type]} [description]
+     */
+    get_changed_rows() {
+        let rows = [];
+
+        for( let i = 0; i < this.data.length; i++ ) {
+            let columns = this.columns.order;
+            for( let c = 0; c < columns.length; c++ ) {
+                let column = columns[ c ];
+
+                if( this.metadata[ i ][ column ].changed ) {
+                    rows.push( this.data[ i ] );
+                    break;
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Based on where the user selects items create a continuous selection of records.
+     * @param  {Number} start_row   - first record to select
+     * @param  {Number} end_row     - last record to select
+     */
+    _select_multiple_rows( start_row, end_row ) {
+        console.log( "select records", start_row, end_row );
+        let start = start_row;
+        let end = start_row;
+
+        if( start_row > end_row ) {
+            start = end_row;
         }
         else {
-            this.totals_data = row_data;
+            end = end_row;
         }
 
-        let footer = this.grid.querySelector( `.${wsgrid_footer}` );
-        footer.innerHTML = this._generate_totals_row();
+        for( let i = start; i <= end; i++ ) {
+            this._select_row( i );
+        }
     }
 
     /**
-     * Generate the html for a totals row for the footer of the table.
-     * @return {String}      - HTML for the totals row.
+     * Change the state of a rows selection status.
+     * @param  {Number}  row_id            - the row number to change.
+     * @param  {Boolean} [state=undefined] - What state to set the row's selection to.
      */
-    _generate_totals_row() {
-        if( this.totals_data === undefined ) {
-            return '';
+    _select_row( row_id, state = undefined ) {
+        if( typeof( state ) == 'undefined' ) {
+            state = ! this.checked_rows.has( this.data[ row_id ] );
         }
+        this._check_row( row_id, state );
 
-        return this._generate_row( '', this.totals_data, `${wsgrid_totals}`, `${wsgrid_totals}_column` );
+        // The checkbox is only in the DOM if the row is.
+        let checkbox = this.grid.querySelector( `.${wsgrid_multiselect}_id_${row_id}` );
+        if( checkbox !== null ) {
+            checkbox.checked = state;
+        }
+
+        let e = new Event( `${wsgrid_data}.selection_changed`, { bubbles: true } );
+        ( checkbox || this.grid ).dispatchEvent( e );
     }
 
     /**
-     * getter/setter for word wrapping in cells.
-     * @param  {Boolean} [state=undefined]   - state to set the word_wrap to.
-     * @return {Boolean}                     - current state of word wrap.
+     * Remember if a record is checked, so the checkbox keeps its state when the row is generated again.
+     * @param  {Number}  row_id  - the row number of the record.
+     * @param  {Boolean} state   - Is the record checked?
      */
-    word_wrap( state = undefined ) {
+    _check_row( row_id, state ) {
+        let record = this.data[ row_id ];
+        if( typeof( record ) == 'undefined' ) {
+            return;
+        }
 
-        if( typeof( state ) == 'undefined' ) {
-            return this.cell_word_wrap;
+        if( state ) {
+            this.checked_rows.add( record );
         }
         else {
-            if( state ) {
-                this._modify_stylesheet_rule( `.${wsgrid_table}`, {
-                    'white-space': 'normal',
-                } );
-            }
-            else {
-                this._modify_stylesheet_rule( `.${wsgrid_table}`, {
-                    'white-space': 'nowrap',
-                } );
-            }
-            this.cell_word_wrap = state;
+            this.checked_rows.delete( record );
         }
     }
 
     /**
-     * Create a filter and apply it to the data.
-     * @param  {Array} filters - An Array of filter Objects containing the following options:
-     *     type     - string - 'string', 'number',
-     *     operator - '==', '<', '>', '<=', '>=', '!=',
-     *     test     - string or number to test against.
-     *     join     - How to join this filter to the previous one.
-     * ie: [ { type: 'string', operator: '==', test: 'John' } ]
+     * Clear any rows that are selected by the user.
      */
-    filter( filters ) {
+    clear_selection() {
+        let selected = this.grid.getElementsByClassName( 'selected' );
+        let count = selected.length;
 
-        if( typeof( filters ) == 'boolean' ) {
-            this.is_filtered = filters;
-        }
-        else {
-            this.filters = filters;
-            this.is_filtered = true;
+        for( let i = 0; i < count; i++ ) {
+            selected[ i ].closest( 'tr' ).classList.remove( 'selected_row' );
+            selected[ i ].classList.remove( 'selected' );
         }
 
-        this.refresh();
+        for( let meta_record of this.metadata ) {
+            let keys = Object.keys( meta_record );
+            for( let i = 0; i < keys.length; i++ ) {
+                let key = keys[ i ];
+                meta_record[ key ].selection = false;
+            }
+        }
     }
 
     /**
-     * Should we filter out this record?
-     * @param  {Number}  index - the index number to test the filtering on.
-     * @return {Boolean}
+     * Clear the changes flagged in the metadata.
+     * @type {Array}
      */
-    _is_selected( index ) {
-
-        // If the filter isn't turned on, select everything.
-        if( ! this.is_filtered ) {
-            return true;
-        }
-
-        let row_data = this.data[ index ];
-
-        for( let i = 0; i < this.filters.length; i++ ) {
-            let f = this.filters[ i ];
-            if( row_data[ f.field ] == f.test ) {
-                return true;
+    clear_changes() {
+        for( let i = 0; i < this.data.length; i++ ) {
+            let columns = this.columns.order;
+            for( let c = 0; c < columns.length; c++ ) {
+                let column = columns[ c ];
+                this.metadata[ i ][ column ].changed = false;
             }
         }
-        return false;
     }
 
     /**
-     * Refresh the data displayed in the grid.
-     * This updates the displayed data using the data stored data array.
+     * Send all the changed records to the server through the grid's connection.
+     * Records the server accepts have their changed flags cleared, records it rejects
+     * are marked with error classes and the message returned by the server.
+     * @return {Promise}           - Resolves with the server's reply: { accepted, rejected }
+     * @emits  {recordset.saved}   - emits event with the server's reply after the changes are applied.
      */
-    refresh() {
-        let header = this.grid.querySelector( `.${wsgrid_header}` );
-        header.innerHTML = this._generate_column_headers();
+    save() {
+        if( typeof( this.connection ) == 'undefined' ) {
+            return Promise.reject( new Error( "Grid: there is no connection to save data to" ) );
+        }
 
-        let body = this.grid.querySelector( `.${wsgrid_body}` );
-        body.innerHTML = this._generate_rows();
+        let changes = this._collect_changes();
+        if( changes.length == 0 ) {
+            return Promise.resolve( {
+                accepted: [],
+                rejected: [],
+            } );
+        }
 
-        let footer = this.grid.querySelector( `.${wsgrid_footer}` );
-        footer.innerHTML = this._generate_totals_row();
+        return this._send_changes( changes ).then( ( result ) => {
+            let e = new Event( 'recordset.saved', { bubbles: true } );
+            e.data = result;
+            this.grid.dispatchEvent( e );
 
-        let event = document.createEvent( 'HTMLEvents' );
-        event.initEvent( 'load_complete', true, true );
-        this.grid.dispatchEvent( event );
+            return result;
+        } );
     }
 
     /**
-     * Refresh the contents of just the cell at row_id, column_name.
-     * @param  {Number} row_id          - row number of the cell to replace
-     * @param  {String} column_name     - name of the column for the cell to be replaced
-     * @param  {boolean} recreate_cell  - If true generate the cell anew replacing the existing contents.
+     * Gather the changed cells of every record, along with their values before they were changed.
+     * @return {Object[]}   - Array of { key, changes: { column: { new_value, old_value } } }
      */
-    refresh_cell( row_id, column_name, recreate_cell = true ) {
-        let rows = document.getElementsByClassName( `${wsgrid_row}_${row_id}` );
-        let row = rows[ 0 ];
-        let cell = document.getElementById( `${wsgrid_column}_${row_id}_${column_name}` );
-
-        if( cell === null ) {
-            if( this.columns.visible[ column_name ] == false ) {
-                return;
-            }
-            else {
-                throw new Error( "Cannot find a cell for the given column in this row: ", column_name );
-            }
-        }
+    _collect_changes() {
+        let changes = [];
 
-        let column_id = cell.dataset.columnid;
-        let data = this.data[ row_id ];
+        for( let i = 0; i < this.data.length; i++ ) {
+            let record = undefined;
+            let columns = this.columns.order;
 
-        if( recreate_cell ) {
-            let classes = cell.classList;
+            for( let c = 0; c < columns.length; c++ ) {
+                let column = columns[ c ];
+                let metadata = this.metadata[ i ][ column ];
+
+                if( metadata.changed ) {
+                    if( typeof( record ) == 'undefined' ) {
+                        record = {
+                            key:     this._record_key( i ),
+                            changes: {},
+                        };
+                    }
 
-            for( let c in classes ) {
-                if( c == `${wsgrid_column}`
-                    || c == `${wsgrid_cell}`
-                    || c == `${wsgrid_column}_${column_name}`
-                ) {
-                    classes.remove( c );
+                    record.changes[ column ] = {
+                        new_value: this.data[ i ][ column ],
+                        old_value: metadata.old_value,
+                    };
                 }
             }
-            // create a temporary wrapper so we can create the cell we really want.
-            let temp = document.createElement( 'tr' );
-            let cell_html = this._generate_cell( row_id, column_id, data, cell.tagName, classes.toString() );
-            temp.innerHTML = cell_html;
 
-            let newCell = temp.firstChild;
-            row.replaceChild( newCell, cell );
-        }
-        else {
-            row.removeChild( cell );
-            if( row.children.length <= 0 ) {
-                row.parentElement.removeChild( row );
+            if( typeof( record ) !== 'undefined' ) {
+                changes.push( record );
             }
         }
+
+        return changes;
     }
 
     /**
-     * Add the records to the data
-     * @param {Object[]} records  - a Javascript object containing keys matching the columns
-     * @emits {recordset.changed} - allow the user to keep track of changes occuring to rows.
+     * Send changes to the server and apply the server's reply to the grid.
+     * @param  {Object[]} changes  - Changes in the form returned by _collect_changes().
+     * @return {Promise}           - Resolves with the server's reply: { accepted, rejected }
      */
-    append_rows( records ) {
+    _send_changes( changes ) {
+        return this.connection.send( {
+            type:    'save',
+            payload: {
+                changes,
+            },
+        } ).then( ( response ) => {
+            let result = {
+                accepted: ( response && Array.isArray( response.accepted ) ? response.accepted : [] ),
+                rejected: ( response && Array.isArray( response.rejected ) ? response.rejected : [] ),
+            };
+
+            this._apply_save_result( changes, result );
+
+            return result;
+        } );
+    }
 
-        // To avoid issues with wrong column counts and additional columns
-        // only pull in data for the columns defined in the grid.
-        let new_records = [];
+    /**
+     * Clear the changed flags of accepted records and mark the rejected ones with errors.
+     * @param  {Object[]} changes  - The changes that were sent to the server.
+     * @param  {Object}   result   - The server's reply: { accepted, rejected }
+     */
+    _apply_save_result( changes, result ) {
+        // Keyed as strings, the server may echo the key back as "5" for 5, the same as _find_record() allows.
+        let sent = new Map();
+        for( let record of changes ) {
+            sent.set( String( record.key ), record );
+        }
 
-        for( let i = 0; i < records.length; i++ ) {
-            let record = {};
-            for( let c = 0; c < this.columns.order.length; c++ ) {
-                let column_name = this.columns.order[ c ];
-                record[ column_name ] = records[ i ][ column_name ];
+        for( let key of result.accepted ) {
+            let row_id = this._find_record( key );
+            let record = sent.get( String( key ) );
+            if( row_id == -1 || typeof( record ) == 'undefined' ) {
+                continue;
             }
 
-            new_records.push( record );
+            let columns = Object.keys( record.changes );
+            for( let column of columns ) {
+                let metadata = this.metadata[ row_id ][ column ];
+
+                // Leave the flag alone if the user changed the cell again while we were saving.
+                if( this.data[ row_id ][ column ] === record.changes[ column ].new_value ) {
+                    metadata.changed = false;
+                    metadata.old_value = undefined;
+                }
+                metadata.error = '';
+            }
+
+            this._refresh_record( row_id, columns );
         }
 
-        let old_length = this.data.length;
-        //change data in place, add new elements...
-        this.data.splice( old_length, 0, ...new_records );
+        for( let rejection of result.rejected ) {
+            let row_id = this._find_record( rejection.key );
+            let record = sent.get( String( rejection.key ) );
+            if( row_id == -1 ) {
+                continue;
+            }
 
-        let new_length = this.data.length;
+            let errors = rejection.errors || {};
+            let columns = Object.keys( errors );
+            if( columns.length == 0 && typeof( record ) !== 'undefined' ) {
+                columns = Object.keys( record.changes );
+            }
 
-        for( let i = old_length; i < new_length; i++ ) {
-            let row = {};
-            for( let c = 0; c < this.columns.order.length; c++ ) {
-                // clone the metadata for each cell.
-                row[ this.columns.order[ c ] ] = Object.assign( {}, cell_metadata );
+            for( let column of columns ) {
+                if( typeof( this.metadata[ row_id ][ column ] ) == 'undefined' ) {
+                    continue;
+                }
+                this.metadata[ row_id ][ column ].error = errors[ column ] || rejection.message || 'Rejected by the server';
             }
-            this.metadata.push( row );
+
+            this._refresh_record( row_id, columns );
         }
+    }
 
-        let body = this.grid.querySelector( `.${wsgrid_body}` );
-        body.innerHTML = this._generate_rows();
+    /**
+     * The value used to identify a record when talking to the server.
+     * @param  {Number} row_id  - Row number of the record.
+     * @return {Mixed}          - Value of the unique_key column, or the row id without a unique_key.
+     */
+    _record_key( row_id ) {
+        if( this.unique_key == '' ) {
+            return Number( row_id );
+        }
 
-        let e = new Event( 'recordset.changed', { bubbles: true } );
-        this.grid.dispatchEvent( e );
+        return this.data[ row_id ][ this.unique_key ];
     }
 
     /**
-     * Delete all rows listed in the given array.
-     * @param  {Array} rows     - List of rows in the form of an array.
+     * Find the row number of the record with the given key.
+     * @param  {Mixed} key   - A value returned by _record_key().
+     * @return {Number}      - Row number of the record, -1 if it isn't in the grid.
      */
-    delete_rows( rows ) {
+    _find_record( key ) {
+        if( this.unique_key == '' ) {
+            let row_id = Number( key );
+            return ( row_id >= 0 && row_id < this.data.length ? row_id : -1 );
+        }
 
-        for( let i = 0; i < rows.length; i++ ) {
-            let row = rows[ i ];
-            this.data.splice( row, 1 );
-            this.metadata.splice( row, 1 );
+        return this.data.findIndex( ( row ) => {
+            return row[ this.unique_key ] == key;
+        } );
+    }
+
+    /**
+     * Does any cell in the record have an error from the server?
+     * @param  {Number} row_id  - Row number of the record.
+     * @return {Boolean}
+     */
+    _row_has_error( row_id ) {
+        let metadata = this.metadata[ row_id ];
+        if( typeof( metadata ) == 'undefined' ) {
+            return false;
         }
 
-        this.refresh();
-        let e = new Event( 'recordset.changed', { bubbles: true } );
-        this.grid.dispatchEvent( e );
+        return Object.keys( metadata ).some( ( column ) => {
+            return metadata[ column ].error != '';
+        } );
     }
 
     /**
-     * Delete rows from grid where the given key/value pairs match.
-     * @param  {Object[]} matches    - Array of { key: '', value: '' } matches.
+     * Regenerate the given cells of a record, if the record is displayed.
+     * A cell with the inline editor open in it is left alone.
+     * @param  {Number}   row_id   - Row number of the record.
+     * @param  {String[]} columns  - Names of the columns to regenerate.
      */
-    delete_matches( matches ) {
-        let records = [];
-        for( let i = 0; i < matches.length; i++ ) {
-            let key = matches[ i ].key;
-            let value = matches[ i ].value;
+    _refresh_record( row_id, columns ) {
+        let row = this.grid.querySelector( `tr.${wsgrid_row}_${row_id}` );
+        if( row === null ) {
+            return;
+        }
 
-            let count = this.data.length;
-            for( let j = ( count - 1 ); j > 0; j-- ) {
-                if( this.data[ j ][ key ] == value ) {
-                    records.push( j );
-                }
+        for( let column of columns ) {
+            let cell = row.querySelector( `td.${wsgrid_column}_${column}` );
+            if( cell === null || cell === this.active_editor ) {
+                continue;
             }
+            this.refresh_cell( row_id, column );
         }
 
-        this.delete_rows( records );
+        row.classList.toggle( `${wsgrid_row}_error`, this._row_has_error( row_id ) );
+        this.row_html.delete( row );
     }
 
     /**
-     * Count of the rows of data in the record set.
-     * @return {Number} - record set count
+     * Run a function that makes many changes to the grid, rendering once and announcing
+     * the changes in one cell.changed and one recordset.changed event when it's done.
+     * @param  {Function} callback  - Code that changes the grid, called with the grid as this.
+     * @return {Mixed}              - Whatever the callback returns.
      */
-    count() {
-        return this.data.length;
+    batch( callback ) {
+        this.begin_update();
+        try{
+            return callback.call( this, this );
+        }
+        finally {
+            this.end_update();
+        }
     }
 
     /**
-     * Update the given records based on the unique key field.
-     * @param  {String} unique_key       - name of the key field.
-     * @param  {Object[]}  updated_data  - Array of records to update, the key field and value should be in this data.
+     * Stop rendering and dispatching change events until end_update() is called.
+     * Calls can be nested, nothing happens until the outermost end_update().
      */
-    update_records( unique_key, updated_data ) {
-        if( ! Array.isArray( updated_data ) ) {
-            throw new Error( "data isn't an array" );
+    begin_update() {
+        if( this.update_depth == 0 ) {
+            this.pending_update = {
+                render:    false,
+                changes:   [],
+                recordset: false,
+            };
         }
 
-        let updated_count = updated_data.length;
-        let count = this.data.length;
+        this.update_depth++;
+    }
 
-        for( let i = 0; i < updated_count; i++ ) {
-            let keys = Object.keys( updated_data[ i ] );
-            delete keys[ unique_key ];
+    /**
+     * Finish a batch started with begin_update(), rendering the grid once and
+     * dispatching the events held back during the batch.
+     * @emits {cell.changed}       - emits one event with every cell changed in the batch.
+     * @emits {recordset.changed}  - emits event if rows were added, removed, or replaced in the batch.
+     */
+    end_update() {
+        if( this.update_depth == 0 ) {
+            return;
+        }
 
-            let key_value = updated_data[ i ][ unique_key ];
+        this.update_depth--;
+        if( this.update_depth > 0 ) {
+            return;
+        }
 
-            for( let j = 0; j < count; j++ ) {
-                if( this.data[ j ][ unique_key ] == key_value ) {
-                    for( let k = 0; k < keys.length; k++ ) {
-                        let key = keys[ k ];
-                        this.data[ j ][ key ] = updated_data[ i ][ key ];
-                        //this.refresh_cell( j, key );
-                    }
-                    break;
-                }
-            }
+        let pending = this.pending_update;
+        this.pending_update = undefined;
+
+        if( pending.render ) {
+            this.refresh();
+        }
+
+        if( pending.changes.length > 0 ) {
+            this._dispatch_cell_changed( this.grid, pending.changes );
+        }
+
+        if( pending.recordset ) {
+            this._dispatch_recordset_changed();
         }
-        this.refresh();
     }
 
     /**
-     * Setter for cell values. This function does not emit any signals when
-     * changing the data in the data model.
-     *
-     * @param {String} column_name - Name of the column to set data for
-     * @param {Number} row_id      - Row number to set data for
-     * @param {Mixed}  value       - Value to set in the row, column.
+     * Is a batch of updates running? While it is, rendering is put off until it ends.
+     * @return {Boolean}
      */
-    set_cell( column_name, row_id, value ) {
-        if( typeof( this.data[ row_id ] ) == 'undefined' ) {
-            throw new Error( "Cannot find row in data grid" );
-        }
-        if( ! this.data[ row_id ].hasOwnProperty( column_name ) ) {
-            throw new Error( "Cannot find column in row data", column_name );
+    _defer_render() {
+        if( this.update_depth == 0 ) {
+            return false;
         }
 
-        let old_value = this.data[ row_id ][ column_name ];
-        if( old_value == value ) {
+        this.pending_update.render = true;
+        return true;
+    }
+
+    /**
+     * Let the user know rows were added, removed, or replaced.
+     * @emits {recordset.changed}
+     */
+    _dispatch_recordset_changed() {
+        if( this.update_depth > 0 ) {
+            this.pending_update.recordset = true;
             return;
         }
 
-        this.data[ row_id ][ column_name ] = value;
-        this.metadata[ row_id ][ column_name ].changed = true;
-        this.metadata[ row_id ][ column_name ].old_value = old_value;
-
-        this.refresh_cell( row_id, column_name );
+        let e = new Event( 'recordset.changed', { bubbles: true } );
+        this.grid.dispatchEvent( e );
     }
 
     /**
-     * Getter/setter for the value of a given cell.
-     * @param  {String} column_name - Name of the column to get the data from
-     * @param  {Number} row_id     - record id number.
-     * @param  {Mixed}  value      - If setting the value of a cell, this is the value to set.
-     * @return {Mixed}             - If getting the value of a cell, this is the value returned.
-     * @emits  {wsgrid__data.cell_changed} emits event when the data in a cell is changed.
+     * Add a change to the queue applied on the next animation frame, see throttle_updates.
+     * An update following an update from the same source is merged into it, record by record.
+     * @param  {String}   type        - 'insert', 'update', or 'delete'.
+     * @param  {Boolean}  pushed      - Was the change pushed by the connection? Otherwise it's from update_records().
+     * @param  {String}   unique_key  - Name of the key field used to match the records.
+     * @param  {Object[]} rows        - The records that changed.
      */
-    cell_value( column_name, row_id, value ) {
+    _queue_update( type, pushed, unique_key, rows ) {
+        let last = this.update_queue[ this.update_queue.length - 1 ];
 
-        if( typeof( value ) == 'undefined' ) {
-            return this.data[ row_id ][ column_name ];
+        if( type != 'update' ) {
+            this.update_queue.push( {
+                type:       type,
+                pushed:     pushed,
+                unique_key: unique_key,
+                rows:       rows,
+            } );
         }
         else {
-            if( typeof( this.data[ row_id ] ) == 'undefined' ) {
-                return new Error( `Row ${row_id} doesn't exist in the data.` );
+            if( typeof( last ) == 'undefined' || last.type != 'update' || last.pushed != pushed || last.unique_key != unique_key ) {
+                last = {
+                    type:       type,
+                    pushed:     pushed,
+                    unique_key: unique_key,
+                    records:    new Map(),
+                };
+                this.update_queue.push( last );
             }
-            if( ! this.data[ row_id ].hasOwnProperty( column_name ) ) {
-                return new Error( `${column_name} doesn't exist.` );
+
+            for( let row of rows ) {
+                let record = last.records.get( row[ unique_key ] );
+                if( typeof( record ) == 'undefined' ) {
+                    last.records.set( row[ unique_key ], Object.assign( {}, row ) );
+                }
+                else {
+                    Object.assign( record, row );
+                }
             }
+        }
 
-            let old_value = this.data[ row_id ][ column_name ];
+        if( typeof( this.update_frame ) == 'undefined' ) {
+            this.update_frame = requestAnimationFrame( ( time ) => { this._update_frame( time ); } );
+        }
+    }
 
-            this.set_cell( column_name, row_id, value );
-            let e = new Event( 'cell.changed', { bubbles: true } );
-            e.changes = [ {
-                row:       row_id,
-                column:    column_name,
-                new_value: value,
-                old_value: old_value,
-            } ];
-            this.grid.dispatchEvent( e );
+    /**
+     * Apply the queued updates, unless it's too soon after the last time for max_update_rate.
+     * @param  {Number} time  - Time of the animation frame in milliseconds.
+     */
+    _update_frame( time ) {
+        this.update_frame = undefined;
+
+        if( this.max_update_rate > 0
+            && typeof( this.last_update_frame ) !== 'undefined'
+            && time - this.last_update_frame < 1000 / this.max_update_rate
+        ) {
+            this.update_frame = requestAnimationFrame( ( time ) => { this._update_frame( time ); } );
+            return;
         }
+
+        this.last_update_frame = time;
+        this.flush_updates();
     }
 
     /**
-     * Getter/Setter the given property on the cell.
-     * @param {Number} row_id      - Row number
-     * @param {String} column_name - Name of the column
-     * @param {String} property    - Property to get/set on the cell
-     * @param {*}      value       - value of the property to set.
+     * Apply the updates queued by throttle_updates right away, as one batch. The selection,
+     * an open editor, and the scroll position are kept.
      */
-    cell_property( row_id, column_name, property, value = undefined ) {
+    flush_updates() {
+        if( typeof( this.update_frame ) !== 'undefined' ) {
+            cancelAnimationFrame( this.update_frame );
+            this.update_frame = undefined;
+        }
 
-        if( value === undefined ) {
-            try{
-                return this.metadata[ row_id ][ column_name ][ property ];
-            }
-            catch( error ) {
-                console.log( `Could not find property ${property} in the grid at ${row_id}, ${column_name}` );
-            }
+        let queue = this.update_queue;
+        this.update_queue = [];
+        if( queue.length == 0 ) {
+            return;
         }
-        else {
-            if( typeof( this.metadata[ row_id ] ) == 'undefined' ) {
-                throw new Error( "Row ID is undefined in metadata", this.metadata, row_id );
-            }
 
-            this.metadata[ row_id ][ column_name ][ property ] = value;
+        this.applying_updates = true;
+        try{
+            this._preserve_view( () => {
+                this.batch( () => {
+                    for( let update of queue ) {
+                        let rows = ( update.type == 'update' ? Array.from( update.records.values() ) : update.rows );
 
-            this.refresh_cell( row_id, column_name );
+                        if( update.pushed ) {
+                            this._apply_push( update.type, { rows: rows } );
+                        }
+                        else {
+                            this.update_records( update.unique_key, rows );
+                        }
+                    }
+                } );
+            } );
+        }
+        finally {
+            this.applying_updates = false;
         }
     }
 
     /**
-     * is the given cell editable?
-     * @param  {String}  column_name - Name of the column to check
-     * @param  {Number}  row_id      - Row id of the record to check.
-     * @return {Boolean}             - is the cell editable?
+     * Start grouping cell changes, appended rows, and deleted rows into a transaction.
+     * The operations are applied to the grid right away, but aren't announced or saved until commit().
      */
-    is_editable( column_name, row_id ) {
-        let editable = this.columns.editable[ column_name ];
-        if( typeof( editable ) == 'function' ) {
-            editable = editable( row_id, column_name, this.data[ row_id ] );
+    begin_transaction() {
+        if( typeof( this.transaction ) !== 'undefined' ) {
+            throw new Error( "Grid: a transaction is already open" );
         }
 
-        return editable;
+        this.transaction = {
+            changes: [],    // cell changes to announce on commit, { row, column, new_value, old_value }
+            cells:   [],    // cell changes to undo, keyed by the record object since row ids can change.
+            inserts: [],    // records appended during the transaction.
+            deletes: [],    // { record, metadata, row, key } for each record deleted during the transaction.
+        };
     }
 
     /**
-     * return an array of all values from a given column.
-     * @param  {String} column_name - Name of column to get the data form.
-     * @return {Array}              - Array of values from the column.
+     * Is there an open transaction?
+     * @return {Boolean}
      */
-    column_values( column_name ) {
-        let c_data = [];
-
-        for( let i = 0; i < this.data.length; i++ ) {
-            c_data.push( this.data[ i ][ column_name ] );
-        }
-
-        return c_data;
+    in_transaction() {
+        return typeof( this.transaction ) !== 'undefined';
     }
 
     /**
-     * Get the record ids of the selected row.
-     * @return {[type]} [description]
+     * Close the transaction and send its operations to the server as a single message.
+     * If the server rejects the transaction, or it can't be sent, every operation is undone.
+     * Without a connection the transaction is only closed.
+     * @return {Promise}                  - Resolves with the server's reply, rejects if the
+     *                                      transaction was rolled back.
+     * @emits  {cell.changed}             - emits one event with every cell changed in the transaction,
+     *                                      once the server accepts it.
+     * @emits  {transaction.committed}    - emits event with the message sent, once the server accepts it.
+     * @emits  {transaction.rolled_back}  - emits event when the server rejects the transaction.
      */
-    get_selected_rows() {
-        let records = [];
+    commit() {
+        let transaction = this.transaction;
+        if( typeof( transaction ) == 'undefined' ) {
+            return Promise.reject( new Error( "Grid: there is no transaction to commit" ) );
+        }
+        this.transaction = undefined;
 
-        if( this.multi_select ) {
-            let checkboxes = this.grid.querySelectorAll( `input[class^="${wsgrid_multiselect}_id"]` );
+        // Dispatched directly, a transaction opened before the server replies mustn't take these changes.
+        let announce = () => {
+            if( transaction.changes.length == 0 ) {
+                return;
+            }
 
-            for( let i = 0; i < checkboxes.length; i++ ) {
-                if( checkboxes[ i ].checked ) {
-                    records.push( Number( checkboxes[ i ].dataset.rowid ) );
-                }
+            if( this.update_depth > 0 ) {
+                this.pending_update.changes.push( ...transaction.changes );
+                return;
             }
+
+            let e = new Event( 'cell.changed', { bubbles: true } );
+            e.changes = transaction.changes;
+            this.grid.dispatchEvent( e );
+        };
+
+        if( typeof( this.connection ) == 'undefined' ) {
+            announce();
+            return Promise.resolve( {
+                accepted: true,
+            } );
         }
-        else {
-            let selected_rows = this.grid.querySelectorAll( '.selected' );
-            for( let i = 0; i < selected_rows.length; i++ ) {
-                records.push( Number( selected_rows[ i ].dataset.rowid ) );
+
+        let payload = this._transaction_payload( transaction );
+
+        return this.connection.send( {
+            type:    'transaction',
+            payload: payload,
+        } ).then( ( response ) => {
+            if( ! response || response.accepted !== true ) {
+                let error = new Error( `Grid: transaction was rejected: ${( response && response.message ) || 'Rejected by the server'}` );
+                error.code = 'rejected';
+                error.data = response;
+                throw error;
             }
-        }
 
-        return records;
-    }
+            this._apply_save_result( payload.changes, {
+                accepted: payload.changes.map( ( record ) => {
+                    return record.key;
+                } ),
+                rejected: [],
+            } );
 
-    /**
-     * Get the data for all rows that have been changed.
-     * @return {[type]} [description]
-     */
-    get_changed_rows() {
-        let rows = [];
+            announce();
 
-        for( let i = 0; i < this.data.length; i++ ) {
-            let columns = this.columns.order;
-            for( let c = 0; c < columns.length; c++ ) {
-                let column = columns[ c ];
+            let e = new Event( 'transaction.committed', { bubbles: true } );
+            e.data = payload;
+            this.grid.dispatchEvent( e );
 
-                if( this.metadata[ i ][ column ].changed ) {
-                    rows.push( this.data[ i ] );
-                    break;
-                }
-            }
-        }
+            return response;
+        } ).catch( ( error ) => {
+            let rejected = ( error.data && Array.isArray( error.data.rejected ) ? error.data.rejected : [] );
+            this._undo_transaction( transaction, error.message );
 
-        return rows;
+            // point out the records the server complained about.
+            this._apply_save_result( payload.changes, {
+                accepted: [],
+                rejected: rejected,
+            } );
+
+            throw error;
+        } );
     }
 
     /**
-     * Based on where the user selects items create a continuous selection of records.
-     * @param  {Number} start_row   - first record to select
-     * @param  {Number} end_row     - last record to select
+     * Close the transaction and undo every operation in it.
+     * @emits  {transaction.rolled_back}  - emits event after the operations are undone.
      */
-    _select_multiple_rows( start_row, end_row ) {
-        console.log( "select records", start_row, end_row );
-        let start = start_row;
-        let end = start_row;
-
-        if( start_row > end_row ) {
-            start = end_row;
-        }
-        else {
-            end = end_row;
+    rollback() {
+        let transaction = this.transaction;
+        if( typeof( transaction ) == 'undefined' ) {
+            throw new Error( "Grid: there is no transaction to roll back" );
         }
+        this.transaction = undefined;
 
-        for( let i = start; i <= end; i++ ) {
-            this._select_row( i );
-        }
+        this._undo_transaction( transaction, 'Rolled back' );
     }
 
     /**
-     * Change the state of a rows selection status.
-     * @param  {Number}  row_id            - the row number to change.
-     * @param  {Boolean} [state=undefined] - What state to set the row's selection to.
+     * Remember a record deleted during the transaction so it can be put back.
+     * Deleting a record appended in the same transaction just forgets about the insert.
+     * @param  {Number} row_id  - Row number of the record about to be deleted.
      */
-    _select_row( row_id, state = undefined ) {
-        let checkboxes = document.querySelectorAll( `.${wsgrid_multiselect}_id_${row_id}` );
-        if( typeof( state ) == 'undefined' ) {
-            state = ! checkboxes[ 0 ].checked;
+    _record_delete( row_id ) {
+        let record = this.data[ row_id ];
+        let inserted = this.transaction.inserts.indexOf( record );
+
+        if( inserted != -1 ) {
+            this.transaction.inserts.splice( inserted, 1 );
+            return;
         }
-        checkboxes[ 0 ].checked = state;
 
-        let e = new Event( `${wsgrid_data}.selection_changed`, { bubbles: true } );
-        checkboxes[ 0 ].dispatchEvent( e );
+        this.transaction.deletes.push( {
+            record:   record,
+            metadata: this.metadata[ row_id ],
+            row:      row_id,
+            key:      this._record_key( row_id ),
+        } );
     }
 
     /**
-     * Clear any rows that are selected by the user.
+     * Build the message sent to the server for a transaction.
+     * @param  {Object} transaction  - The transaction being committed.
+     * @return {Object}              - { changes, inserts, deletes }
      */
-    clear_selection() {
-        let selected = this.grid.getElementsByClassName( 'selected' );
-        let count = selected.length;
+    _transaction_payload( transaction ) {
+        let inserts = transaction.inserts.filter( ( record ) => {
+            return this.data.includes( record );
+        } );
 
-        for( let i = 0; i < count; i++ ) {
-            selected[ i ].closest( 'tr' ).classList.remove( 'selected_row' );
-            selected[ i ].classList.remove( 'selected' );
-        }
+        // Group the changes by record, a change to an appended record is sent with the insert.
+        let records = new Map();
+        for( let cell of transaction.cells ) {
+            let row_id = this.data.indexOf( cell.record );
+            if( row_id == -1 || inserts.includes( cell.record ) ) {
+                continue;
+            }
 
-        for( let meta_record of this.metadata ) {
-            let keys = Object.keys( meta_record );
-            for( let i = 0; i < keys.length; i++ ) {
-                let key = keys[ i ];
-                meta_record[ key ].selection = false;
+            if( ! records.has( cell.record ) ) {
+                records.set( cell.record, {
+                    key:     this._record_key( row_id ),
+                    changes: {},
+                } );
+            }
+
+            let changes = records.get( cell.record ).changes;
+            if( typeof( changes[ cell.column ] ) == 'undefined' ) {
+                changes[ cell.column ] = {
+                    old_value: cell.old_value,
+                };
             }
+            changes[ cell.column ].new_value = cell.record[ cell.column ];
         }
+
+        return {
+            changes: Array.from( records.values() ),
+            inserts: inserts.map( ( record ) => {
+                return Object.assign( {}, record );
+            } ),
+            deletes: transaction.deletes.map( ( deleted ) => {
+                return deleted.key;
+            } ),
+        };
     }
 
     /**
-     * Clear the changes flagged in the metadata.
-     * @type {Array}
+     * Undo the operations of a transaction, newest first. A cell the user, or the server, changed
+     * again since is left alone.
+     * @param  {Object} transaction       - The transaction to undo.
+     * @param  {String} reason            - Why the transaction was undone.
+     * @emits  {transaction.rolled_back}  - emits event after the operations are undone.
      */
-    clear_changes() {
-        for( let i = 0; i < this.data.length; i++ ) {
-            let columns = this.columns.order;
-            for( let c = 0; c < columns.length; c++ ) {
-                let column = columns[ c ];
-                this.metadata[ i ][ column ].changed = false;
+    _undo_transaction( transaction, reason ) {
+        for( let i = transaction.cells.length - 1; i >= 0; i-- ) {
+            let cell = transaction.cells[ i ];
+            let row_id = this.data.indexOf( cell.record );
+
+            if( row_id == -1 || cell.record[ cell.column ] !== cell.new_value ) {
+                continue;
+            }
+
+            cell.record[ cell.column ] = cell.old_value;
+            this.filter_results.delete( cell.record );
+            this.metadata[ row_id ][ cell.column ].changed = cell.changed;
+            this.metadata[ row_id ][ cell.column ].old_value = cell.original;
+        }
+
+        for( let record of transaction.inserts ) {
+            let row_id = this.data.indexOf( record );
+            if( row_id != -1 ) {
+                this.data.splice( row_id, 1 );
+                this.metadata.splice( row_id, 1 );
             }
         }
+
+        for( let i = transaction.deletes.length - 1; i >= 0; i-- ) {
+            let deleted = transaction.deletes[ i ];
+            let row_id = Math.min( deleted.row, this.data.length );
+
+            this.data.splice( row_id, 0, deleted.record );
+            this.metadata.splice( row_id, 0, deleted.metadata );
+        }
+
+        this.refresh();
+
+        if( transaction.inserts.length > 0 || transaction.deletes.length > 0 ) {
+            this._dispatch_recordset_changed();
+        }
+
+        let e = new Event( 'transaction.rolled_back', { bubbles: true } );
+        e.data = {
+            reason:  reason,
+            changes: transaction.changes,
+        };
+        this.grid.dispatchEvent( e );
     }
 
     /**
@@ -1876,6 +4308,11 @@ export class Grid extends Object_Base {
         for( let i = 0; i < column.length; i++ ) {
             column[ i ].style.display = ( state ? '' : 'none' );
         }
+
+        // the spacers standing in for the columns out of view change width.
+        if( this.virtual_columns ) {
+            this.refresh();
+        }
     }
 
     /**
@@ -1934,7 +4371,6 @@ export class Grid extends Object_Base {
         }
         else if( classList.contains( `${wsgrid_multiselect}_header` ) ) {
             this._multiselect_header_checked( target.checked );
-            this.metadata[ row ][ column ].selected = target.checked;
         }
         else if( this.multi_select && event.shiftKey ) {
             let selected_rows = this.grid.querySelectorAll( '.selected' );
@@ -2019,14 +4455,12 @@ export class Grid extends Object_Base {
                         this.events.after_edit.call( this, row, column_name, new_value );
                     }
 
-                    let e = new Event( 'cell.changed', { bubbles: true } );
-                    e.changes = [ {
+                    this._dispatch_cell_changed( target, [ {
                         row:       row,
                         column:    column_name,
                         new_value: new_value,
                         old_value: value,
-                    } ];
-                    target.dispatchEvent( e );
+                    } ] );
                 }
                 // If this column is editable create an editor
                 // for the user to change the data.
@@ -2049,17 +4483,51 @@ export class Grid extends Object_Base {
                 }
             }
         }
-    }
+    }
+
+    /**
+     * Change event,
+     * @param  {Event} event  - Trigger event for grid changes.
+     */
+    change( event ) {
+        if( event.target.classList.contains( `${wsgrid_multiselect}_checkbox` ) ) {
+            if( event.target.dataset.rowid !== 'header' ) {
+                this._check_row( event.target.dataset.rowid, event.target.checked );
+            }
+
+            let e = new Event( 'selection.changed', { bubbles: true } );
+            event.target.dispatchEvent( e );
+        }
+    }
+
+    /**
+     * Scroll event, with virtual_scroll or virtual_columns on generate the rows and columns that scrolled into view.
+     * @param  {Event} event     - Trigger event for scrolling
+     */
+    scroll( event ) {
+        if( this.virtual_columns ) {
+            let columns = this._visible_columns();
+            if( columns.start < this.rendered_columns.start || columns.end > this.rendered_columns.end ) {
+                this.rendered_columns = this._visible_columns( this.overscan_columns );
+                this._preserve_view( () => {
+                    this._render_header();
+                    this._render_body();
+                    this._render_footer();
+                } );
+                return;
+            }
+        }
+
+        if( ! this.virtual_scroll ) {
+            return;
+        }
 
-    /**
-     * Change event,
-     * @param  {Event} event  - Trigger event for grid changes.
-     */
-    change( event ) {
-        if( event.target.classList.contains( `${wsgrid_multiselect}_checkbox` ) ) {
-            let e = new Event( 'selection.changed', { bubbles: true } );
-            event.target.dispatchEvent( e );
+        let range = this._visible_range();
+        if( range.start >= this.rendered_rows.start && range.end <= this.rendered_rows.end ) {
+            return;
         }
+
+        this._render_visible_rows();
     }
 
     /**
@@ -2211,10 +4679,18 @@ export class Grid extends Object_Base {
         if( typeof( this.events.header_click ) == 'function' ) {
             this.events.header_click.call( this, column_name );
         }
-        else {
+        else if( this.remote ) {
             this.sort_direction = ( this.sort_direction == 'asc' ? 'desc' : 'asc' );
-            this._sort_data( column_name, this.sort_direction );
-            this.refresh();
+            this.sort_column = column_name;
+            this.page = 1;
+            this.reload().catch( () => {} );
+        }
+        else {
+            let sort_direction = ( this.sort_direction == 'asc' ? 'desc' : 'asc' );
+            if( ! this._sort_in_worker( column_name, sort_direction, () => { this.refresh(); } ) ) {
+                this._sort_data( column_name, sort_direction );
+                this.refresh();
+            }
         }
     }
 
@@ -2232,26 +4708,11 @@ export class Grid extends Object_Base {
             return;
         }
 
+        let sort = this._sort_columns( column_name, sort_order );
+
         this.data.sort( ( a, b ) => {
             if( has_grouping ) {
-                let sort_columns = [];
-                let sort_orders = [];
-
-                for( let i = 0; i <  this.grouping.columns.length; i++ ) {
-                    sort_columns.push( this.grouping.columns[ i ] );
-                    if( column_name == this.grouping.columns[ i ] ) {
-                        this.grouping.sort_order[ this.grouping.columns[ i ] ] = sort_order;
-                    }
-                    sort_orders.push( this.grouping.sort_order[ this.grouping.columns[ i ] ] );
-                }
-                if( column_name != '' ) {
-                    if( ! sort_columns.includes( column_name ) ) {
-                        sort_columns.push( column_name );
-                        sort_orders.push( sort_order );
-                    }
-                }
-
-                return this._group_sorting( sort_columns, sort_orders, a, b );
+                return this._group_sorting( sort.columns.slice(), sort.orders.slice(), a, b );
             }
             else {
                 return this._basic_sorting( column_name, a, b );
@@ -2262,6 +4723,268 @@ export class Grid extends Object_Base {
         this.sort_column = column_name;
     }
 
+    /**
+     * List the columns the data is sorted by, the grouping columns first, then the sort column.
+     * Sorting by a grouping column changes the sort order of the grouping.
+     * @param  {String} column_name  - Name of column to sort by, '' to only sort by the grouping columns.
+     * @param  {String} sort_order   - Order in which to sort the column, asc or desc.
+     * @return {Object}              - { columns: [ name, ... ], orders: [ 'asc' or 'desc', ... ] }
+     */
+    _sort_columns( column_name, sort_order ) {
+        let sort_columns = [];
+        let sort_orders = [];
+
+        for( let i = 0; i < this.grouping.columns.length; i++ ) {
+            sort_columns.push( this.grouping.columns[ i ] );
+            if( column_name == this.grouping.columns[ i ] ) {
+                this.grouping.sort_order[ this.grouping.columns[ i ] ] = sort_order;
+            }
+            sort_orders.push( this.grouping.sort_order[ this.grouping.columns[ i ] ] );
+        }
+        if( column_name != '' ) {
+            if( ! sort_columns.includes( column_name ) ) {
+                sort_columns.push( column_name );
+                sort_orders.push( sort_order );
+            }
+        }
+
+        return {
+            columns: sort_columns,
+            orders:  sort_orders,
+        };
+    }
+
+    /**
+     * Sort and filter the data in the Web Worker, see the worker option. The values the worker
+     * needs are sent to it, and the records are put in the order it replies with before the
+     * callback renders them. A newer call replaces the request, and its reply is ignored.
+     * @param  {String}   column_name  - Name of column to sort by, '' to only sort by the grouping columns.
+     * @param  {String}   sort_order   - Order in which to sort data asc, desc
+     * @param  {Function} callback     - Called once the records are in their new order.
+     * @return {Boolean}               - false if the worker can't be used, and the caller should
+     *                                   sort the data with _sort_data() instead.
+     */
+    _sort_in_worker( column_name, sort_order, callback ) {
+        let id = ++this.worker_call_id;
+
+        // Older requests are replaced, anything waiting on them waits on this one instead.
+        let waiting = [];
+        for( let request of this.worker_requests.values() ) {
+            waiting.push( ...request.waiting );
+        }
+        this.worker_requests.clear();
+
+        // The caller sorts on the main thread when false is returned, before the waiters run.
+        let sort_here = () => {
+            this._resolve_waiting( waiting );
+            return false;
+        };
+
+        let worker = this._data_worker();
+        if( typeof( worker ) == 'undefined' ) {
+            return sort_here();
+        }
+
+        let sort = this._sort_columns( column_name, sort_order );
+        if( sort.columns.length == 0 && ! this.is_filtered ) {
+            return sort_here();
+        }
+
+        // sort and type functions can't be sent to the worker.
+        for( let column of sort.columns ) {
+            if( typeof( this.columns.sort[ column ] ) == 'function' || typeof( this.columns.type[ column ] ) == 'function' ) {
+                return sort_here();
+            }
+        }
+
+        let filters = undefined;
+        let columns = sort.columns.slice();
+        if( this.is_filtered ) {
+            filters = this.filters.map( ( filter ) => {
+                if( ! columns.includes( filter.field ) ) {
+                    columns.push( filter.field );
+                }
+                return {
+                    field: filter.field,
+                    test:  filter.test,
+                };
+            } );
+        }
+
+        let types = {};
+        for( let column of columns ) {
+            types[ column ] = this.columns.type[ column ];
+        }
+
+        let records = this.data.slice();
+
+        try{
+            worker.postMessage( {
+                id:      id,
+                columns: columns,
+                types:   types,
+                rows:    records.map( ( record ) => {
+                    return columns.map( ( column ) => {
+                        return record[ column ];
+                    } );
+                } ),
+                sort:    sort.columns.map( ( column, i ) => {
+                    return {
+                        column: column,
+                        order:  sort.orders[ i ].toLowerCase(),
+                    };
+                } ),
+                filters: filters,
+            } );
+        }
+        catch( error ) {
+            // The values can't be copied to the worker, ie: they're functions or DOM elements.
+            return sort_here();
+        }
+
+        this.sort_direction = sort_order.toLowerCase();
+        this.sort_column = column_name;
+
+        this.worker_requests.set( id, {
+            column_name: column_name,
+            sort_order:  sort_order,
+            records:     records,
+            callback:    callback,
+            waiting:     waiting,
+        } );
+
+        return true;
+    }
+
+    /**
+     * The Web Worker used when the worker option is set, started the first time it's needed.
+     * @return {Worker}   - The worker, or undefined if the option isn't set or workers aren't available.
+     */
+    _data_worker() {
+        if( this.worker == '' || typeof( Worker ) == 'undefined' ) {
+            return undefined;
+        }
+
+        if( typeof( this.data_worker ) == 'undefined' ) {
+            try{
+                this.data_worker = new Worker( this.worker, { type: 'module' } );
+            }
+            catch( error ) {
+                this.worker = '';
+                return undefined;
+            }
+
+            this.data_worker.addEventListener( 'message', ( event ) => { this._worker_reply( event.data ); } );
+            this.data_worker.addEventListener( 'error', ( event ) => { this._worker_failed( event ); } );
+        }
+
+        return this.data_worker;
+    }
+
+    /**
+     * Put the records in the order the worker replied with, and remember which of them
+     * passed the filters, then render them. Replies to replaced requests are dropped.
+     * @param  {Object} reply  - { id, order, selected } or { id, error }, see grid_worker.js.
+     */
+    _worker_reply( reply ) {
+        let request = this.worker_requests.get( reply.id );
+        this.worker_requests.delete( reply.id );
+
+        if( typeof( request ) == 'undefined' || reply.id != this.worker_call_id ) {
+            return;
+        }
+
+        if( typeof( reply.error ) !== 'undefined' ) {
+            this._sort_data( request.column_name, request.sort_order );
+            request.callback();
+            this._resolve_waiting( request.waiting );
+            return;
+        }
+
+        let metadata = new Map();
+        for( let i = 0; i < this.data.length; i++ ) {
+            metadata.set( this.data[ i ], this.metadata[ i ] );
+        }
+
+        this.filter_results = new WeakMap();
+
+        // Records removed since the request was sent are skipped.
+        let data = [];
+        for( let index of reply.order ) {
+            let record = request.records[ index ];
+            if( metadata.has( record ) ) {
+                data.push( record );
+                this.filter_results.set( record, reply.selected[ index ] );
+            }
+        }
+
+        // Records added since the request was sent stay at the end.
+        let sorted = new Set( data );
+        for( let record of this.data ) {
+            if( ! sorted.has( record ) ) {
+                data.push( record );
+            }
+        }
+
+        // Reorder the arrays in place, the data array can be the one given to display().
+        for( let i = 0; i < data.length; i++ ) {
+            this.data[ i ] = data[ i ];
+            this.metadata[ i ] = metadata.get( data[ i ] );
+        }
+
+        request.callback();
+        this._resolve_waiting( request.waiting );
+    }
+
+    /**
+     * Wait for the newest worker request to be sorted and rendered.
+     * @return {Promise}   - Resolves once the rows are rendered, straight away if nothing is being sorted.
+     */
+    _worker_settled() {
+        let request = this.worker_requests.get( this.worker_call_id );
+        if( typeof( request ) == 'undefined' ) {
+            return Promise.resolve();
+        }
+
+        return new Promise( ( resolve ) => {
+            request.waiting.push( resolve );
+        } );
+    }
+
+    /**
+     * Resolve the promises returned by _worker_settled().
+     * @param  {Array} waiting  - resolve functions of the promises.
+     */
+    _resolve_waiting( waiting ) {
+        for( let resolve of waiting ) {
+            resolve();
+        }
+    }
+
+    /**
+     * The worker script couldn't be loaded or failed, stop using it and
+     * sort the data of the newest request on the main thread.
+     * @param  {ErrorEvent} event  - error event from the worker.
+     */
+    _worker_failed( event ) {
+        let request = this.worker_requests.get( this.worker_call_id );
+        let waiting = [];
+        for( let pending of this.worker_requests.values() ) {
+            waiting.push( ...pending.waiting );
+        }
+        this.worker_requests.clear();
+
+        this.data_worker.terminate();
+        this.data_worker = undefined;
+        this.worker = '';
+
+        if( typeof( request ) !== 'undefined' ) {
+            this._sort_data( request.column_name, request.sort_order );
+            request.callback();
+        }
+        this._resolve_waiting( waiting );
+    }
+
     /**
      * Do generic asc / desc sorting.
      * @param  {String} column_name - Which column are we sorting asc/desc.
@@ -2456,6 +5179,8 @@ export class Grid extends Object_Base {
 
         cell.dataset.oldvalue = cell.innerHTML;
         cell.innerHTML = editor;
+        this.active_editor = cell;
+        this.row_html.delete( cell.parentElement );
 
         let self = this;
         cell.firstChild.addEventListener( 'keydown', ( event ) => {
@@ -2540,6 +5265,11 @@ export class Grid extends Object_Base {
                 return;
             }
 
+            // the rows are being regenerated around the editor, keep it open.
+            if( self.editor_suspended ) {
+                return;
+            }
+
             if( self._close_editor( cell ) ) {
                 document.removeEventListener( 'click', click_close_editor );
             }
@@ -2562,6 +5292,14 @@ export class Grid extends Object_Base {
      * @emits  {cell_changed} emits event when the editor is closed and the data change has been saved.
      */
     _close_editor( cell ) {
+        // The record was removed while it was being edited, there is nothing to save.
+        if( ! this.grid.contains( cell ) ) {
+            if( this.active_editor === cell ) {
+                this.active_editor = undefined;
+            }
+            return true;
+        }
+
         let row_id = cell.dataset.rowid;
         let column_name = cell.dataset.column;
         let new_value = cell.firstChild.value;
@@ -2601,31 +5339,362 @@ export class Grid extends Object_Base {
         }
 
         cell.innerHTML = this._generate_cell_content( column_name, format_new_value );
+        this.active_editor = undefined;
+        this.row_html.delete( cell.parentElement );
 
         // Don't alert for changes unless the data really changed.
         if( new_value == old_value ) {
             return true;
         }
 
-        this.metadata[ row_id ][ column_name ].changed = true;
-        this.metadata[ row_id ][ column_name ].old_value = old_value;
+        this._flag_change( row_id, column_name, old_value );
 
         if( typeof( this.events.after_edit ) == 'function' ) {
             this.events.after_edit.call( this, row_id, column_name, new_value );
         }
 
-        let e = new Event( 'cell.changed', { bubbles: true } );
-        e.changes = [ {
+        this._dispatch_cell_changed( cell, [ {
             row:       row_id,
             column:    column_name,
             new_value: new_value,
             old_value: old_value,
-        } ];
-        cell.dispatchEvent( e );
+        } ] );
+
+        // Changes made in a transaction are saved when it's committed.
+        if( this._should_queue() ) {
+            this._queue_edit( row_id, column_name, old_value );
+        }
+        else if( this.auto_save
+            && typeof( this.connection ) !== 'undefined'
+            && typeof( this.transaction ) == 'undefined'
+        ) {
+            this._save_cell( row_id, column_name );
+        }
 
         return true;
     }
 
+    /**
+     * Send a single changed cell to the server. The cell is marked as pending until
+     * the server answers, if the server rejects the change the old value is restored.
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @return {Promise}             - Resolves once the server has answered.
+     * @emits  {cell.rejected}       - emits event when the server rejects the change.
+     */
+    _save_cell( row_id, column_name ) {
+        let key = this._record_key( row_id );
+        let metadata = this.metadata[ row_id ][ column_name ];
+        let new_value = this.data[ row_id ][ column_name ];
+        let old_value = metadata.old_value;
+
+        metadata.pending = true;
+        this._refresh_record( row_id, [ column_name ] );
+
+        let changes = [ {
+            key,
+            changes: {
+                [ column_name ]: {
+                    new_value,
+                    old_value,
+                },
+            },
+        } ];
+
+        let finish = ( reason ) => {
+            // the row ids can change while we wait on the server.
+            let current_row = this._find_record( key );
+            if( current_row == -1 ) {
+                return;
+            }
+
+            this.metadata[ current_row ][ column_name ].pending = false;
+
+            if( typeof( reason ) !== 'undefined' ) {
+                this._rollback_cell( current_row, column_name, new_value, old_value, reason );
+            }
+            else {
+                this._refresh_record( current_row, [ column_name ] );
+            }
+        };
+
+        return this._send_changes( changes ).then( ( result ) => {
+            let rejection = result.rejected.find( ( record ) => {
+                return record.key == key;
+            } );
+
+            if( typeof( rejection ) !== 'undefined' ) {
+                let errors = rejection.errors || {};
+                finish( errors[ column_name ] || rejection.message || 'Rejected by the server' );
+            }
+            else {
+                finish();
+            }
+        } ).catch( ( error ) => {
+            // the connection went down, keep the edit until it comes back.
+            let current_row = this._find_record( key );
+            if( current_row != -1
+                && typeof( this.edit_queue ) !== 'undefined'
+                && ( this._is_offline() || [ 'disconnected', 'network_error', 'timeout' ].includes( error.code ) )
+            ) {
+                this.metadata[ current_row ][ column_name ].pending = false;
+                this._queue_edit( current_row, column_name, old_value );
+                return;
+            }
+
+            finish( error.message );
+        } );
+    }
+
+    /**
+     * Is the connection down? Connections without a state are only offline when the browser is.
+     * @return {Boolean}
+     */
+    _is_offline() {
+        if( typeof( navigator ) !== 'undefined' && navigator.onLine === false ) {
+            return true;
+        }
+
+        return this.connection_state != 'open';
+    }
+
+    /**
+     * Should an edit be stored in the offline queue instead of being sent?
+     * @return {Boolean}
+     */
+    _should_queue() {
+        return typeof( this.edit_queue ) !== 'undefined'
+            && typeof( this.transaction ) == 'undefined'
+            && this._is_offline();
+    }
+
+    /**
+     * Store an edit in the offline queue and mark the cell as unsynced.
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @param  {Mixed}  old_value    - Value of the cell before the edit.
+     * @return {Promise}             - Resolves once the edit is stored.
+     */
+    _queue_edit( row_id, column_name, old_value ) {
+        this.metadata[ row_id ][ column_name ].unsynced = true;
+        this._refresh_record( row_id, [ column_name ] );
+
+        let edit = {
+            key:       this._record_key( row_id ),
+            column:    column_name,
+            new_value: this.data[ row_id ][ column_name ],
+            old_value: old_value,
+            time:      Date.now(),
+        };
+
+        // Stored and unstored edits are put back in order using the time the edit was made.
+        return this.edit_queue.add( edit ).catch( ( error ) => {
+            this.unstored_edits.push( edit );
+            this._dispatch_connection_error( {
+                code:    'queue_error',
+                message: `could not store the edit, it will be lost if the page is closed: ${error.message}`,
+            } );
+        } );
+    }
+
+    /**
+     * Get the edits waiting to be sent, the stored ones and the ones kept in memory, oldest first.
+     * @return {Promise}   - Resolves with an array of edits.
+     */
+    _queued_edits() {
+        return this.edit_queue.all().catch( ( error ) => {
+            this._dispatch_connection_error( {
+                code:    'queue_error',
+                message: `could not read the queued edits: ${error.message}`,
+            } );
+            return [];
+        } ).then( ( edits ) => {
+            return edits.concat( this.unstored_edits ).sort( ( a, b ) => {
+                return a.time - b.time;
+            } );
+        } );
+    }
+
+    /**
+     * Remove an edit that was sent from the queue, or from memory.
+     * @param  {Object} edit   - The edit from _queued_edits().
+     * @return {Promise}       - Resolves once the edit is removed.
+     */
+    _remove_edit( edit ) {
+        let index = this.unstored_edits.indexOf( edit );
+        if( index != -1 ) {
+            this.unstored_edits.splice( index, 1 );
+            return Promise.resolve();
+        }
+
+        return this.edit_queue.remove( edit.id );
+    }
+
+    /**
+     * Apply the queued edits to the records that were just loaded, so edits that haven't
+     * reached the server yet aren't lost when the data is loaded again.
+     * @return {Promise}   - Resolves once the edits are applied.
+     */
+    _reapply_edits() {
+        if( typeof( this.edit_queue ) == 'undefined' ) {
+            return Promise.resolve();
+        }
+
+        return this._queued_edits().then( ( edits ) => {
+            for( let edit of edits ) {
+                let row_id = this._find_record( edit.key );
+                if( row_id == -1 || ! this.data[ row_id ].hasOwnProperty( edit.column ) ) {
+                    continue;
+                }
+
+                let old_value = this.data[ row_id ][ edit.column ];
+                this.data[ row_id ][ edit.column ] = edit.new_value;
+                this._flag_change( row_id, edit.column, old_value );
+                this.metadata[ row_id ][ edit.column ].unsynced = true;
+                this._refresh_record( row_id, [ edit.column ] );
+            }
+        } );
+    }
+
+    /**
+     * Send the queued edits to the server one at a time, oldest first. Replaying stops at
+     * the first edit that can't be sent, the rest wait for the connection to open again.
+     * @return {Promise}   - Resolves once the replay has finished or stopped.
+     */
+    _replay_edits() {
+        if( typeof( this.edit_queue ) == 'undefined'
+            || typeof( this.connection ) == 'undefined'
+            || this.replaying
+            || this._is_offline()
+        ) {
+            return Promise.resolve();
+        }
+
+        this.replaying = true;
+
+        let replay = ( edits ) => {
+            if( edits.length == 0 ) {
+                return undefined;
+            }
+
+            let edit = edits.shift();
+            let changes = [ {
+                key:     edit.key,
+                changes: {
+                    [ edit.column ]: {
+                        new_value: edit.new_value,
+                        old_value: edit.old_value,
+                    },
+                },
+            } ];
+
+            return this._send_changes( changes ).then( ( result ) => {
+                let rejection = result.rejected.find( ( record ) => {
+                    return record.key == edit.key;
+                } );
+
+                this._settle_edit( edit, rejection );
+                return this._remove_edit( edit );
+            } ).then( () => {
+                return replay( edits );
+            } );
+        };
+
+        return this._queued_edits().then( replay ).catch( ( error ) => {
+            this._dispatch_connection_error( {
+                code:    error.code || 'queue_error',
+                message: `could not send the queued edits: ${error.message}`,
+            } );
+        } ).then( () => {
+            this.replaying = false;
+        } );
+    }
+
+    /**
+     * Update a cell after the server answered a queued edit.
+     * @param  {Object} edit       - The edit from the queue.
+     * @param  {Object} rejection  - The server's rejection of the edit, undefined if it was accepted.
+     */
+    _settle_edit( edit, rejection ) {
+        let row_id = this._find_record( edit.key );
+        if( row_id == -1 || typeof( this.metadata[ row_id ][ edit.column ] ) == 'undefined' ) {
+            return;
+        }
+
+        // a later edit to the same cell is still waiting in the queue.
+        if( this.data[ row_id ][ edit.column ] === edit.new_value ) {
+            this.metadata[ row_id ][ edit.column ].unsynced = false;
+        }
+
+        if( typeof( rejection ) !== 'undefined' ) {
+            let errors = rejection.errors || {};
+            this._rollback_cell( row_id, edit.column, edit.new_value, edit.old_value, errors[ edit.column ] || rejection.message || 'Rejected by the server' );
+            return;
+        }
+
+        this._refresh_record( row_id, [ edit.column ] );
+    }
+
+    /**
+     * Put the value a cell had before it was changed back after the server rejected the change.
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @param  {Mixed}  new_value    - The value the server rejected.
+     * @param  {Mixed}  old_value    - The value to restore.
+     * @param  {String} reason       - Why the change was rejected.
+     * @emits  {cell.rejected}       - emits event after the value has been restored.
+     */
+    _rollback_cell( row_id, column_name, new_value, old_value, reason ) {
+        let metadata = this.metadata[ row_id ][ column_name ];
+
+        // Only roll back if the user hasn't changed the cell again since.
+        if( this.data[ row_id ][ column_name ] === new_value ) {
+            this.data[ row_id ][ column_name ] = old_value;
+            this.filter_results.delete( this.data[ row_id ] );
+            metadata.changed = false;
+            metadata.old_value = undefined;
+        }
+        metadata.error = reason;
+
+        this._refresh_record( row_id, [ column_name ] );
+
+        let e = new Event( 'cell.rejected', { bubbles: true } );
+        e.data = {
+            row:       row_id,
+            column:    column_name,
+            new_value: new_value,
+            old_value: old_value,
+            reason:    reason,
+        };
+        this.grid.dispatchEvent( e );
+    }
+
+    /**
+     * Find the cell for the given row and column. With virtual_scroll on, a row that
+     * hasn't been generated is scrolled into view first.
+     * @param  {Number} row_id       - Row number of the cell.
+     * @param  {String} column_name  - Name of the column for the cell.
+     * @return {Element}             - The td element, or null if the row isn't displayed.
+     */
+    _find_cell( row_id, column_name ) {
+        let selector = `.${wsgrid_row}_${row_id} td.${wsgrid_column}_${column_name}`;
+        let cell = this.grid.querySelector( selector );
+
+        if( cell === null && this.virtual_scroll ) {
+            let index = this.row_list.findIndex( ( entry ) => {
+                return entry.type == 'row' && entry.row_id == row_id;
+            } );
+
+            if( index != -1 ) {
+                this.grid.scrollTop = index * this._row_height();
+                this._render_visible_rows();
+                cell = this.grid.querySelector( selector );
+            }
+        }
+
+        return cell;
+    }
+
     /**
      * Find the next editable cell in the row and open the editor. If this is the last cell
      * or the row move to the next row and open the first cell in that row for editing.
@@ -2652,7 +5721,7 @@ export class Grid extends Object_Base {
 
             if( this.columns.visible[ current_column ] && editable ) {
                 let e = new Event( 'dblclick', { bubbles: true } );
-                let target = this.grid.querySelector( `.${wsgrid_row}_${current_record} td.${wsgrid_column}_${current_column}` );
+                let target = this._find_cell( current_record, current_column );
 
                 if( target !== null ) {
                     target.dispatchEvent( e );
@@ -2688,7 +5757,7 @@ export class Grid extends Object_Base {
 
             if( this.columns.visible[ current_column ] && editable ) {
                 let e = new Event( 'dblclick', { bubbles: true } );
-                let target = this.grid.querySelector( `.${wsgrid_row}_${current_record} td.${wsgrid_column}_${current_column}` );
+                let target = this._find_cell( current_record, current_column );
 
                 if( target !== null ) {
                     target.dispatchEvent( e );
@@ -2714,7 +5783,7 @@ export class Grid extends Object_Base {
         }
 
         let e = new Event( 'dblclick', { bubbles: true } );
-        let target = this.grid.querySelector( `.${wsgrid_row}_${current_record} td.${wsgrid_column}_${column_name}` );
+        let target = this._find_cell( current_record, column_name );
         target.dispatchEvent( e );
     }
 
@@ -2733,7 +5802,7 @@ export class Grid extends Object_Base {
         }
 
         let e = new Event( 'dblclick', { bubbles: true } );
-        let target = this.grid.querySelector( `.${wsgrid_row}_${current_record} td.${wsgrid_column}_${column_name}` );
+        let target = this._find_cell( current_record, column_name );
         target.dispatchEvent( e );
     }
 